@@ -27,7 +27,7 @@ app.use((req, res, next) => {
 const corsOptions = {
   origin: '*',
   methods: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -38,6 +38,18 @@ app.use(cors(corsOptions));
 app.use('/session', require('./routes/session'));
 app.use('/message', require('./routes/message'));
 app.use('/auth', require('./routes/auth'));
+app.use('/users', require('./routes/users'));
+app.use('/api-keys', require('./routes/apiKeys'));
+app.use('/webhooks', require('./routes/webhook'));
+app.use('/events', require('./routes/events'));
+app.use('/schedules', require('./routes/schedule'));
+app.use('/campaigns', require('./routes/campaign'));
+app.use('/templates', require('./routes/template'));
+app.use('/groups', require('./routes/group'));
+app.use('/contacts', require('./routes/contact'));
+app.use('/chats', require('./routes/chat'));
+app.use('/presence', require('./routes/presence'));
+app.use('/profile', require('./routes/profile'));
 
 
 // 404
@@ -46,6 +58,31 @@ app.use('/auth', require('./routes/auth'));
 // Logger
 const { logger } = require('./utils/logger');
 
+// Initial admin user
+require('./services/users').ensureInitialAdmin().catch((error) => {
+  logger.error({ msg: 'Error creating initial admin user', error: error.message });
+});
+
+// Expired tokens cleanup
+require('./services/tokens').start();
+
+// Message retention
+require('./services/messageStore').startRetention();
+
+// Webhook delivery worker
+require('./services/webhook').start();
+
+// Sessions linked before the restart
+require('./services/sessionManager').restore().catch((error) => {
+  logger.error({ msg: 'Error restoring sessions', error: error.message });
+});
+
+// Scheduled messages
+require('./services/scheduler').start();
+
+// Broadcast campaigns
+require('./services/campaigns').start();
+
 const HOST = process.env.HOST || 'localhost';
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, HOST, () => {
@@ -0,0 +1,15 @@
+/**
+ * Exige que el usuario autenticado (ver `verifyToken`) tenga todos los permisos indicados
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+  const missing = permissions.filter((permission) => !granted.includes(permission));
+
+  if (missing.length) {
+    return res.status(403).json({ message: `Forbidden: missing permission ${missing.join(', ')}` });
+  }
+
+  next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,28 @@
+const SessionManager = require('../services/sessionManager');
+const { sessionParams } = require('../validators/session');
+
+/**
+ * Resuelve la sesión indicada en `:sessionId` y la deja en `req.whatsapp`.
+ * Con `create: true` la registra si todavía no existe.
+ */
+const resolveSession = ({ create = false } = {}) => (req, res, next) => {
+  const result = sessionParams.validate(req.params);
+
+  if (result.error) {
+    res.sendError(422, [{ message: "sessionId may only contain letters, numbers, '_' and '-'", field: 'sessionId' }]);
+    return;
+  }
+
+  const { sessionId } = req.params;
+  const session = create ? SessionManager.getOrCreate(sessionId) : SessionManager.get(sessionId);
+
+  if (!session) {
+    res.sendError(404, `Session ${sessionId} not found`);
+    return;
+  }
+
+  req.whatsapp = session;
+  next();
+};
+
+module.exports = resolveSession;
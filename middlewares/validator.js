@@ -7,6 +7,7 @@ const middleware = (schema, property = 'body') => (req, res, next) => {
       const message = details.map((i) => ({ message: i.message.replace(/['"]/g, "'"), field: i?.context?.label || i?.context?.key }));
       res.sendError(422, message);
     } else {
+      req[property] = result.value;
       next();
     }
   } catch (error) {
@@ -1,24 +1,66 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
+const users = require('../services/users');
+const apiKeys = require('../services/apiKeys');
+const tokens = require('../services/tokens');
+const { ROLE_PERMISSIONS } = require('../utils/permissions');
 
 const { ACCESS_TOKEN_SECRET } = process.env;
 
+/**
+ * Acepta un JWT de usuario (`Authorization: Bearer <jwt>`) o una API key
+ * (`X-API-Key: <key>` o `Authorization: Bearer <key>`). En ambos casos deja
+ * en `req.user.permissions` lo que `authorize` va a controlar.
+ */
 const verifyToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Separa "Bearer <token>"
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]); // Separa "Bearer <token>"
 
   if (!token) {
     return res.status(401).json({ message: 'Unauthorized access: No token provided' });
   }
 
+  if (apiKeys.isApiKey(token)) {
+    const apiKey = apiKeys.authenticate(token);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Unauthorized access: Invalid, expired or revoked API key' });
+    }
+
+    req.user = {
+      id: null,
+      type: 'api_key',
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      createdBy: apiKey.createdBy,
+      permissions: apiKey.scopes,
+    };
+    return next();
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-    req.user = decoded; // opcional: guardar info del token
-    next();
+    decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
   } catch (err) {
     return res.status(403).json({ message: 'Invalid token' });
   }
+
+  if (tokens.isAccessTokenRevoked(decoded)) {
+    return res.status(401).json({ message: 'Unauthorized access: Token revoked' });
+  }
+
+  // El usuario pudo ser eliminado o deshabilitado después de emitir el token
+  const user = decoded.sub && users.get(decoded.sub);
+  if (!user || user.disabled) {
+    return res.status(401).json({ message: 'Unauthorized access: User not found or disabled' });
+  }
+
+  req.user = {
+    ...user,
+    type: 'user',
+    permissions: ROLE_PERMISSIONS[user.role] || [],
+  };
+  req.tokenPayload = decoded;
+  next();
 };
 
 module.exports = verifyToken;
-
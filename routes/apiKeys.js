@@ -0,0 +1,142 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const apiKeys = require('../services/apiKeys');
+const { createApiKey } = require('../validators/apiKey');
+
+router.use(verifyToken, authorize('users:manage'));
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: Lista las API keys (sin su valor)
+ *     tags:
+ *       - API Keys
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys registradas, incluidas las revocadas
+ */
+router.get('/', (req, res) => {
+  try {
+    res.sendResponse(200, { apiKeys: apiKeys.list() });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Crea una API key para integraciones entre servidores
+ *     description: El valor de la key se devuelve solo en esta respuesta; después únicamente se conserva su hash.
+ *     tags:
+ *       - API Keys
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CRM
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [messages:send, messages:read, session:read, session:manage, webhooks:manage]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key creada; `key` contiene el valor a usar en `X-API-Key`
+ */
+router.post('/', validator(createApiKey), (req, res) => {
+  try {
+    const apiKey = apiKeys.create({ ...req.body, createdBy: req.user.id });
+    res.sendResponse(201, apiKey);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   get:
+ *     summary: Detalle de una API key
+ *     tags:
+ *       - API Keys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key encontrada
+ *       404:
+ *         description: API key no encontrada
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const apiKey = apiKeys.get(req.params.id);
+    if (!apiKey) {
+      return res.sendError(404, 'API key not found');
+    }
+    res.sendResponse(200, apiKey);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoca una API key
+ *     tags:
+ *       - API Keys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revocada
+ *       404:
+ *         description: API key no encontrada o ya revocada
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!apiKeys.revoke(req.params.id)) {
+      return res.sendError(404, 'API key not found or already revoked');
+    }
+    res.sendResponse(200, { success: true, id: req.params.id, revoked: true });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+module.exports = router;
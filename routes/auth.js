@@ -1,8 +1,32 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         accessToken:
+ *           type: string
+ *           description: JWT de corta duración para la cabecera Authorization
+ *         token:
+ *           type: string
+ *           description: Igual a `accessToken`, se mantiene por compatibilidad
+ *         expiresIn:
+ *           type: string
+ *           example: 15m
+ *         refreshToken:
+ *           type: string
+ *           description: Token de un solo uso para obtener un nuevo par en /auth/refresh
+ */
+
 /**
  * @swagger
  * /auth/login:
  *   post:
- *     summary: Login para obtener token JWT
+ *     summary: Login para obtener access token y refresh token
  *     tags:
  *       - Autenticación
  *     requestBody:
@@ -18,35 +42,166 @@
  *                 type: string
  *     responses:
  *       200:
- *         description: Token generado exitosamente
+ *         description: Tokens generados exitosamente
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
+ *               $ref: '#/components/schemas/AuthTokens'
  *       401:
  *         description: Credenciales inválidas
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const validator = require('../middlewares/validator');
+const users = require('../services/users');
+const tokens = require('../services/tokens');
+const {
+  login, refreshToken, logout, changePassword,
+} = require('../validators/user');
+
+router.post('/login', validator(login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await users.authenticate(username, password);
 
-router.post('/login', (req, res) => {
-  const { username, password } = req.body;
+    if (!user) {
+      return res.status(401).json({ message: 'Credenciales inválidas' });
+    }
 
-  if (username !== 'admin' || password !== '1234') {
-    return res.status(401).json({ message: 'Credenciales inválidas' });
+    const issued = tokens.issue(user);
+    res.json({ ...issued, token: issued.accessToken });
+  } catch (error) {
+    res.sendError(500, error);
   }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Canjea un refresh token por un nuevo par de tokens
+ *     description: El refresh token usado queda revocado. Reutilizar un token ya canjeado revoca toda la cadena.
+ *     tags:
+ *       - Autenticación
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevo par de tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Refresh token inválido, vencido o revocado
+ */
+router.post('/refresh', validator(refreshToken), (req, res) => {
+  try {
+    const issued = tokens.rotate(req.body.refreshToken, (userId) => users.get(userId));
 
-  const token = jwt.sign({ username }, process.env.ACCESS_TOKEN_SECRET, {
-    expiresIn: '1d',
-  });
+    if (!issued) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
 
-  res.json({ token });
+    res.json({ ...issued, token: issued.accessToken });
+  } catch (error) {
+    res.sendError(500, error);
+  }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Cierra la sesión actual
+ *     description: Revoca el access token usado en la llamada y, si se envía, la cadena completa del refresh token.
+ *     tags:
+ *       - Autenticación
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       403:
+ *         description: La llamada usa una API key
+ */
+router.post('/logout', verifyToken, validator(logout), (req, res) => {
+  // Las API keys no tienen sesión ni refresh tokens; se revocan desde /api-keys
+  if (req.user.type === 'api_key') {
+    res.sendError(403, 'API keys cannot log out; revoke the key instead');
+    return;
+  }
 
+  try {
+    tokens.logout({ refreshToken: req.body.refreshToken, accessPayload: req.tokenPayload });
+    res.sendResponse(200, { success: true, message: 'Logged out' });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     summary: Cambia la contraseña del usuario autenticado
+ *     tags:
+ *       - Autenticación
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada
+ *       401:
+ *         description: La contraseña actual no es correcta
+ */
+router.put('/password', verifyToken, validator(changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await users.verifyPassword(req.user.id, currentPassword))) {
+      return res.sendError(401, 'Current password is incorrect');
+    }
+
+    await users.setPassword(req.user.id, newPassword);
+    res.sendResponse(200, { success: true, message: 'Password updated' });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+module.exports = router;
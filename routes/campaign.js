@@ -0,0 +1,361 @@
+const express = require('express');
+const multer = require('multer');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const campaigns = require('../services/campaigns');
+const { sessionParams } = require('../validators/session');
+const { createCampaign, listCampaigns, listRecipients } = require('../validators/campaign');
+const { parseCsv } = require('../utils/csv');
+
+const MAX_CSV_BYTES = (Number(process.env.CAMPAIGN_MAX_CSV_MB) || 5) * 1024 * 1024;
+
+const upload = multer({ limits: { fileSize: MAX_CSV_BYTES, files: 1 } });
+
+/**
+ * Recibe el CSV en memoria; un archivo que supera `CAMPAIGN_MAX_CSV_MB` se rechaza con 413
+ */
+const uploadCsv = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      res.sendError(413, `'file' must be at most ${MAX_CSV_BYTES / 1024 / 1024} MB`);
+      return;
+    }
+    if (error) {
+      res.sendError(400, error.message);
+      return;
+    }
+    next();
+  });
+};
+
+// Columnas del CSV que se aceptan como número de destino
+const RECIPIENT_COLUMNS = ['to', 'phone', 'number'];
+
+/**
+ * Con `multipart/form-data` los destinatarios llegan como CSV en `file` y el
+ * mensaje como JSON en el campo `message`; se convierten al formato del body JSON
+ */
+const parseCampaignUpload = (req, res, next) => {
+  if (!req.file) {
+    next();
+    return;
+  }
+
+  if (typeof req.body.message === 'string') {
+    try {
+      req.body.message = JSON.parse(req.body.message);
+    } catch (error) {
+      res.sendError(422, [{ message: "'message' must be valid JSON", field: 'message' }]);
+      return;
+    }
+  }
+
+  const rows = parseCsv(req.file.buffer);
+  const column = RECIPIENT_COLUMNS.find((name) => rows[0] && name in rows[0]);
+  if (!column) {
+    res.sendError(422, [{ message: `CSV must have a '${RECIPIENT_COLUMNS.join("', '")}' column`, field: 'file' }]);
+    return;
+  }
+
+  req.body.recipients = rows.map(({ [column]: to, ...variables }) => ({ to, variables }));
+  next();
+};
+
+/**
+ * @swagger
+ * /campaigns/{sessionId}:
+ *   post:
+ *     summary: Crea una campaña de difusión y comienza a enviarla
+ *     description: |
+ *       Los destinatarios se envían como arreglo JSON o como CSV (`multipart/form-data`, campo `file`).
+ *       En el CSV, la columna `to` (o `phone`, `number`) es el número y las demás columnas son variables.
+ *       El texto, caption y fileName del mensaje admiten variables `{{nombre}}`.
+ *       Cada número se verifica con `check-number` y los envíos pasan por la cola de la sesión.
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - message
+ *               - recipients
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Promo julio
+ *               message:
+ *                 $ref: '#/components/schemas/MessagePayload'
+ *               recipients:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     to:
+ *                       type: string
+ *                       example: 5491122334455
+ *                     variables:
+ *                       type: object
+ *                       example: { "name": "Ana" }
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - message
+ *               - file
+ *             properties:
+ *               name:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *                 description: MessagePayload como JSON
+ *                 example: '{"type":"text","text":"Hola {{name}}"}'
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV con encabezado
+ *     responses:
+ *       201:
+ *         description: Campaña creada
+ *       422:
+ *         description: Datos inválidos o variables faltantes
+ *       413:
+ *         description: El CSV supera `CAMPAIGN_MAX_CSV_MB`
+ *   get:
+ *     summary: Lista las campañas de la sesión con su progreso
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, paused, completed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de campañas, de la más reciente a la más antigua
+ */
+router.post('/:sessionId', verifyToken, authorize('messages:send'), resolveSession(), uploadCsv, parseCampaignUpload, validator(createCampaign), (req, res) => {
+  try {
+    const errors = campaigns.validateVariables(req.body.message, req.body.recipients);
+    if (errors.length) {
+      res.sendError(422, errors);
+      return;
+    }
+
+    res.sendResponse(201, campaigns.create(req.params.sessionId, req.body));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.get('/:sessionId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), validator(listCampaigns, 'query'), (req, res) => {
+  try {
+    res.sendResponse(200, campaigns.list(req.params.sessionId, req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /campaigns/{sessionId}/{id}:
+ *   get:
+ *     summary: Detalle de una campaña con el conteo por estado
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaña encontrada
+ *       404:
+ *         description: Campaña no encontrada
+ */
+router.get('/:sessionId/:id', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    const campaign = campaigns.get(req.params.sessionId, req.params.id);
+    if (!campaign) {
+      res.sendError(404, 'Campaign not found');
+      return;
+    }
+    res.sendResponse(200, campaign);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /campaigns/{sessionId}/{id}/recipients:
+ *   get:
+ *     summary: Estado de cada destinatario de la campaña
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed, invalid, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de destinatarios en el orden de la lista
+ *       404:
+ *         description: Campaña no encontrada
+ */
+router.get('/:sessionId/:id/recipients', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), validator(listRecipients, 'query'), (req, res) => {
+  try {
+    if (!campaigns.getRow(req.params.sessionId, req.params.id)) {
+      res.sendError(404, 'Campaign not found');
+      return;
+    }
+    res.sendResponse(200, campaigns.recipients(req.params.id, req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /campaigns/{sessionId}/{id}/report:
+ *   get:
+ *     summary: Reporte de la campaña
+ *     description: Conteo por estado, duración y errores agrupados por motivo.
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reporte de la campaña
+ *       404:
+ *         description: Campaña no encontrada
+ */
+router.get('/:sessionId/:id/report', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    const report = campaigns.report(req.params.sessionId, req.params.id);
+    if (!report) {
+      res.sendError(404, 'Campaign not found');
+      return;
+    }
+    res.sendResponse(200, report);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /campaigns/{sessionId}/{id}/{action}:
+ *   post:
+ *     summary: Pausa, reanuda o cancela una campaña
+ *     description: Al cancelar, los destinatarios pendientes quedan como `cancelled`.
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pause, resume, cancel]
+ *     responses:
+ *       200:
+ *         description: Campaña actualizada
+ *       409:
+ *         description: La campaña no está en un estado que permita la acción
+ */
+const CAMPAIGN_ACTIONS = {
+  pause: { method: 'pause', status: 'paused' },
+  resume: { method: 'resume', status: 'running' },
+  cancel: { method: 'cancel', status: 'cancelled' },
+};
+
+Object.entries(CAMPAIGN_ACTIONS).forEach(([action, { method, status }]) => {
+  router.post(`/:sessionId/:id/${action}`, verifyToken, authorize('messages:send'), validator(sessionParams, 'params'), (req, res) => {
+    try {
+      const { sessionId, id } = req.params;
+      const campaign = campaigns.getRow(sessionId, id);
+      if (!campaign) {
+        res.sendError(404, 'Campaign not found');
+        return;
+      }
+
+      if (!campaigns[method](sessionId, id)) {
+        res.sendError(409, `Campaign is ${campaign.status}`);
+        return;
+      }
+      res.sendResponse(200, { success: true, id, status });
+    } catch (error) {
+      res.sendError(500, error);
+    }
+  });
+});
+
+module.exports = router;
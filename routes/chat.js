@@ -0,0 +1,209 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const chatStore = require('../services/chatStore');
+const { sessionParams } = require('../validators/session');
+const { listChats } = require('../validators/chat');
+const { toJid } = require('../utils/jid');
+const { sendWhatsAppError } = require('../utils/whatsappError');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Chat:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 5491122334455@s.whatsapp.net
+ *         name:
+ *           type: string
+ *           description: Asunto del grupo o nombre del contacto
+ *         isGroup:
+ *           type: boolean
+ *         unreadCount:
+ *           type: integer
+ *         markedUnread:
+ *           type: boolean
+ *           description: El chat se marcó como no leído manualmente
+ *         archived:
+ *           type: boolean
+ *         pinned:
+ *           type: boolean
+ *         muted:
+ *           type: boolean
+ *         mutedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastMessage:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             fromMe:
+ *               type: boolean
+ *             sender:
+ *               type: string
+ *             timestamp:
+ *               type: integer
+ *             type:
+ *               type: string
+ *             content:
+ *               type: object
+ */
+
+/**
+ * @swagger
+ * /chats/{sessionId}:
+ *   get:
+ *     summary: Lista los chats de la sesión
+ *     description: |
+ *       Se arman con la sincronización del historial y los cambios de chats que informa WhatsApp.
+ *       Primero aparecen los chats fijados y luego los demás por fecha del último mensaje.
+ *     tags:
+ *       - Chats
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: query
+ *         name: search
+ *         description: Busca en el JID y los nombres
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: unread
+ *         description: Solo chats con (o sin) mensajes sin leer
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isGroup
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de chats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chats:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chat'
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/:sessionId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), validator(listChats, 'query'), (req, res) => {
+  try {
+    res.sendResponse(200, chatStore.listChats(req.params.sessionId, req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /chats/{sessionId}/{chatId}:
+ *   get:
+ *     summary: Detalle de un chat
+ *     tags:
+ *       - Chats
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         description: Número o JID del chat
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Chat'
+ *       404:
+ *         description: Chat no encontrado
+ */
+router.get('/:sessionId/:chatId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    const chat = chatStore.getChat(req.params.sessionId, toJid(req.params.chatId));
+    if (!chat) {
+      res.sendError(404, 'Chat not found');
+      return;
+    }
+    res.sendResponse(200, chat);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /chats/{sessionId}/{chatId}/read:
+ *   post:
+ *     summary: Marca un chat como leído
+ *     description: |
+ *       Confirma la lectura de los mensajes no leídos guardados del chat y lo marca como leído
+ *       en el teléfono y los demás dispositivos vinculados.
+ *     tags:
+ *       - Chats
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         description: Número o JID del chat
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat marcado como leído, con los ids confirmados
+ *       404:
+ *         description: No hay mensajes recibidos guardados del chat
+ */
+router.post('/:sessionId/:chatId/read', verifyToken, authorize('messages:send'), resolveSession(), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.markChatRead(toJid(req.params.chatId)));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const chatStore = require('../services/chatStore');
+const { sessionParams } = require('../validators/session');
+const { listContacts } = require('../validators/chat');
+const { pictureQuery } = require('../validators/profile');
+const { toJid } = require('../utils/jid');
+const { sendWhatsAppError } = require('../utils/whatsappError');
+
+/**
+ * @swagger
+ * /contacts/{sessionId}:
+ *   get:
+ *     summary: Lista los contactos de la sesión
+ *     description: |
+ *       Se arman con la sincronización del historial y los cambios de contactos que informa WhatsApp.
+ *       `name` es el nombre guardado en la agenda o, si no existe, el nombre que eligió el contacto.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: query
+ *         name: search
+ *         description: Busca en el JID y los nombres
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de contactos ordenados por nombre
+ */
+router.get('/:sessionId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), validator(listContacts, 'query'), (req, res) => {
+  try {
+    res.sendResponse(200, chatStore.listContacts(req.params.sessionId, req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /contacts/{sessionId}/{contactId}:
+ *   get:
+ *     summary: Detalle de un contacto
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         description: Número o JID del contacto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contacto encontrado
+ *       404:
+ *         description: Contacto no encontrado
+ */
+router.get('/:sessionId/:contactId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    const contact = chatStore.getContact(req.params.sessionId, toJid(req.params.contactId));
+    if (!contact) {
+      res.sendError(404, 'Contact not found');
+      return;
+    }
+    res.sendResponse(200, contact);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /contacts/{sessionId}/{contactId}/profile:
+ *   get:
+ *     summary: Perfil de un contacto
+ *     description: |
+ *       Se consulta a WhatsApp: foto de perfil, texto de info (`about`) y, si es una cuenta de empresa,
+ *       su perfil comercial. Los datos que el contacto oculta por privacidad llegan en null.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         description: Número o JID del contacto
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Perfil del contacto
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 5491122334455@s.whatsapp.net
+ *               pictureUrl: https://pps.whatsapp.net/v/t61.24694-24/...
+ *               about: Disponible
+ *               aboutSetAt: "2024-06-20T16:13:20.000Z"
+ *               isBusiness: true
+ *               business:
+ *                 description: Venta de repuestos
+ *                 category: Automotive Parts Store
+ *                 address: Av. Corrientes 1234
+ *                 email: ventas@example.com
+ *                 websites: ["https://example.com"]
+ *                 businessHours: null
+ */
+router.get('/:sessionId/:contactId/profile', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getContactProfile(toJid(req.params.contactId)));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /contacts/{sessionId}/{contactId}/picture:
+ *   get:
+ *     summary: URL de la foto de perfil de un contacto
+ *     description: La URL es temporal; para guardar la imagen conviene usar `/picture/download`.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         description: Número o JID del contacto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: "`image` es la foto completa y `preview` una miniatura"
+ *         schema:
+ *           type: string
+ *           enum: [image, preview]
+ *           default: image
+ *     responses:
+ *       200:
+ *         description: URL de la foto
+ *       404:
+ *         description: El contacto no tiene foto o su privacidad no permite verla
+ * /contacts/{sessionId}/{contactId}/picture/download:
+ *   get:
+ *     summary: Descarga la foto de perfil de un contacto
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         description: Número o JID del contacto
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [image, preview]
+ *           default: image
+ *     responses:
+ *       200:
+ *         description: Imagen de la foto de perfil
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: El contacto no tiene foto o su privacidad no permite verla
+ */
+router.get('/:sessionId/:contactId/picture', verifyToken, authorize('messages:read'), resolveSession(), validator(pictureQuery, 'query'), async (req, res) => {
+  try {
+    const id = toJid(req.params.contactId);
+    const url = await req.whatsapp.getProfilePictureUrl(id, req.query.type);
+    if (!url) {
+      res.sendError(404, 'Profile picture not found');
+      return;
+    }
+    res.sendResponse(200, { id, type: req.query.type, url });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.get('/:sessionId/:contactId/picture/download', verifyToken, authorize('messages:read'), resolveSession(), validator(pictureQuery, 'query'), async (req, res) => {
+  try {
+    const picture = await req.whatsapp.downloadProfilePicture(toJid(req.params.contactId), req.query.type);
+    if (!picture) {
+      res.sendError(404, 'Profile picture not found');
+      return;
+    }
+    res.setHeader('Content-Type', picture.mimetype);
+    res.send(picture.buffer);
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+module.exports = router;
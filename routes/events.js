@@ -0,0 +1,60 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const eventStream = require('../services/eventStream');
+const { subscribeEvents } = require('../validators/events');
+
+// EventSource no permite enviar cabeceras: se acepta el token como `?access_token=`
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream de eventos en tiempo real (Server-Sent Events)
+ *     description: |
+ *       Emite los mismos eventos que los webhooks (QR, cambios de conexión, mensajes entrantes, ...).
+ *       Cada mensaje SSE usa el tipo de evento como `event` y el payload del webhook como `data`.
+ *       Desde el navegador el token puede enviarse como `access_token` porque EventSource no admite cabeceras.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: events
+ *         description: Tipos de evento separados por coma (`connection,message.*`). Vacío recibe todos.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessions
+ *         description: Sesiones separadas por coma. Vacío recibe todas.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: access_token
+ *         description: JWT, alternativa a la cabecera Authorization
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stream `text/event-stream`
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/', tokenFromQuery, verifyToken, authorize('session:read', 'messages:read'), validator(subscribeEvents, 'query'), (req, res) => {
+  const { events, sessions } = req.query;
+  eventStream.subscribe(req, res, { events, sessions });
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const {
+  groupParams, createGroup, updateParticipants, updateGroup, joinGroup, inviteParams,
+} = require('../validators/group');
+const { toJid, toGroupJid } = require('../utils/jid');
+const { sendWhatsAppError } = require('../utils/whatsappError');
+
+/**
+ * @swagger
+ * /groups/{sessionId}:
+ *   get:
+ *     summary: Lista los grupos de los que participa el número
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Grupos, sin la lista de participantes
+ *   post:
+ *     summary: Crea un grupo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - participants
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 example: Soporte clientes
+ *               participants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["5491122334455"]
+ *     responses:
+ *       201:
+ *         description: Grupo creado
+ */
+router.get('/:sessionId', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
+  try {
+    const groups = await req.whatsapp.listGroups();
+    res.sendResponse(200, { groups });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.post('/:sessionId', verifyToken, authorize('groups:manage'), resolveSession(), validator(createGroup), async (req, res) => {
+  try {
+    const { subject, participants } = req.body;
+    const group = await req.whatsapp.createGroup(subject, participants.map(toJid));
+    res.sendResponse(201, group);
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{sessionId}/join:
+ *   post:
+ *     summary: Se une a un grupo con un código o link de invitación
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: https://chat.whatsapp.com/AbCdEfGhIjK
+ *     responses:
+ *       200:
+ *         description: JID del grupo
+ */
+router.post('/:sessionId/join', verifyToken, authorize('groups:manage'), resolveSession(), validator(joinGroup), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.joinGroup(req.body.code));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{sessionId}/invite/{code}:
+ *   get:
+ *     summary: Información de un grupo a partir de su código de invitación
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Datos del grupo
+ */
+router.get('/:sessionId/invite/:code', verifyToken, authorize('messages:read'), resolveSession(), validator(inviteParams, 'params'), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getGroupInviteInfo(req.params.code));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{sessionId}/{groupId}:
+ *   get:
+ *     summary: Metadatos y participantes de un grupo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grupo con sus participantes
+ *   patch:
+ *     summary: Cambia asunto, descripción y configuración del grupo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               announce:
+ *                 type: boolean
+ *                 description: Solo los administradores envían mensajes
+ *               locked:
+ *                 type: boolean
+ *                 description: Solo los administradores editan los datos del grupo
+ *               memberAddMode:
+ *                 type: string
+ *                 enum: [admin, all]
+ *                 description: Quién puede agregar participantes
+ *               joinApprovalMode:
+ *                 type: boolean
+ *                 description: Los administradores aprueban las solicitudes para unirse
+ *               ephemeralDuration:
+ *                 type: integer
+ *                 enum: [0, 86400, 604800, 7776000]
+ *                 description: Mensajes temporales, en segundos (0 los desactiva)
+ *     responses:
+ *       200:
+ *         description: Grupo actualizado
+ */
+router.get('/:sessionId/:groupId', verifyToken, authorize('messages:read'), resolveSession(), validator(groupParams, 'params'), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getGroup(toGroupJid(req.params.groupId)));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.patch('/:sessionId/:groupId', verifyToken, authorize('groups:manage'), resolveSession(), validator(groupParams, 'params'), validator(updateGroup), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.updateGroup(toGroupJid(req.params.groupId), req.body));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{sessionId}/{groupId}/participants:
+ *   post:
+ *     summary: Agrega, quita, promueve o degrada participantes
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - participants
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [add, remove, promote, demote]
+ *               participants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["5491122334455"]
+ *     responses:
+ *       200:
+ *         description: Resultado por participante (`status` 200 si se aplicó)
+ */
+router.post('/:sessionId/:groupId/participants', verifyToken, authorize('groups:manage'), resolveSession(), validator(groupParams, 'params'), validator(updateParticipants), async (req, res) => {
+  try {
+    const { action, participants } = req.body;
+    const results = await req.whatsapp.updateGroupParticipants(
+      toGroupJid(req.params.groupId),
+      participants.map(toJid),
+      action,
+    );
+    res.sendResponse(200, { action, participants: results });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{sessionId}/{groupId}/invite:
+ *   get:
+ *     summary: Código y link de invitación del grupo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Código y link de invitación
+ * /groups/{sessionId}/{groupId}/invite/revoke:
+ *   post:
+ *     summary: Revoca el link de invitación actual y genera uno nuevo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nuevo código y link de invitación
+ * /groups/{sessionId}/{groupId}/leave:
+ *   post:
+ *     summary: Sale del grupo
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         description: JID del grupo, con o sin `@g.us`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: El número dejó el grupo
+ */
+router.get('/:sessionId/:groupId/invite', verifyToken, authorize('groups:manage'), resolveSession(), validator(groupParams, 'params'), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getGroupInvite(toGroupJid(req.params.groupId)));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.post('/:sessionId/:groupId/invite/revoke', verifyToken, authorize('groups:manage'), resolveSession(), validator(groupParams, 'params'), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.revokeGroupInvite(toGroupJid(req.params.groupId)));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.post('/:sessionId/:groupId/leave', verifyToken, authorize('groups:manage'), resolveSession(), validator(groupParams, 'params'), async (req, res) => {
+  try {
+    await req.whatsapp.leaveGroup(toGroupJid(req.params.groupId));
+    res.sendResponse(200, { success: true, id: toGroupJid(req.params.groupId) });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+module.exports = router;
@@ -3,23 +3,61 @@ const express = require('express');
 
 const router = express.Router();
 const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
 const validator = require('../middlewares/validator');
-const WhatsAppService = require('../services/baileys');
-const { sendText, checkNumber } = require('../validators/message');
+const resolveSession = require('../middlewares/session');
+const {
+  sendText, checkNumber, sendMedia, sendLocation, sendContact, sendPoll, reactMessage, editMessage, markRead,
+} = require('../validators/message');
+const { sendTemplate } = require('../validators/template');
+const templates = require('../services/templates');
+const messageStore = require('../services/messageStore');
+const polls = require('../services/polls');
+const { toJid } = require('../utils/jid');
+const {
+  DEFAULT_MIMETYPES, detectMimetype, decodeBase64, toSendPayload,
+} = require('../utils/media');
+const { missingVariables, messageTemplateText, renderMessage } = require('../utils/template');
+const { sendWhatsAppError } = require('../utils/whatsappError');
 
 const multer = require('multer');
 const upload = multer(); // Para manejar multipart/form-data
 
+/**
+ * Verifica que el mensaje a citar (`quotedId`) esté guardado antes de encolar el envío
+ */
+const checkQuotedMessage = (req, res, next) => {
+  const { quotedId } = req.body;
+  if (quotedId && !messageStore.get(req.params.sessionId, quotedId)) {
+    res.sendError(422, [{ message: "'quotedId' does not match a stored message", field: 'quotedId' }]);
+    return;
+  }
+  next();
+};
+
+/**
+ * Respuesta de los envíos: el mensaje queda en la cola de la sesión y se informa el job
+ */
+const queuedResponse = (whatsapp, job, message) => ({
+  success: true,
+  message,
+  jobId: job.id,
+  status: job.status,
+  position: whatsapp.sendQueue.get(job.id)?.position,
+});
+
 
 /**
  * @swagger
- * /message/check-number:
+ * /message/{sessionId}/check-number:
  *   post:
  *     summary: Verifica si un número tiene cuenta de WhatsApp
  *     tags:
  *       - Message
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
@@ -39,10 +77,10 @@ const upload = multer(); // Para manejar multipart/form-data
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/check-number', verifyToken, validator(checkNumber), async (req, res) => {
+router.post('/:sessionId/check-number', verifyToken, authorize('messages:read'), resolveSession(), validator(checkNumber), async (req, res) => {
   try {
     const { to } = req.body;
-    const result = await WhatsAppService.checkNumber(to);
+    const result = await req.whatsapp.checkNumber(to);
     res.sendResponse(200, result);
   } catch (error) {
     res.sendError(500, error);
@@ -53,13 +91,15 @@ router.post('/check-number', verifyToken, validator(checkNumber), async (req, re
 
 /**
  * @swagger
- * /message/enviar-audio-base64:
+ * /message/{sessionId}/enviar-audio-base64:
  *   post:
  *     summary: Enviar audio a un número de WhatsApp usando base64
  *     tags:
  *       - Mensajes
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
@@ -81,25 +121,21 @@ router.post('/check-number', verifyToken, validator(checkNumber), async (req, re
  *                 type: string
  *                 example: audio/ogg
  *     responses:
- *       200:
- *         description: Audio enviado correctamente
+ *       202:
+ *         description: Audio encolado; devuelve el `jobId` para consultar su estado
  */
-router.post('/enviar-audio-base64', verifyToken, async (req, res) => {
+router.post('/:sessionId/enviar-audio-base64', verifyToken, authorize('messages:send'), resolveSession(), async (req, res) => {
   try {
-    let { to, base64, mimetype } = req.body;
+    const { to, base64, mimetype } = req.body;
 
     if (!to || !base64) {
       return res.sendError(400, 'Faltan campos requeridos: to, base64');
     }
 
-    if (!to.includes('@')) {
-      to += '@s.whatsapp.net';
-    }
-
     const buffer = Buffer.from(base64, 'base64');
-    await WhatsAppService.enviarAudio(to, buffer, mimetype || 'audio/ogg');
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'audio', buffer, mimetype: mimetype || 'audio/ogg' });
 
-    res.sendResponse(200, { success: true, message: 'Audio enviado' });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Audio encolado'));
   } catch (error) {
     res.sendError(500, error);
   }
@@ -107,13 +143,15 @@ router.post('/enviar-audio-base64', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /message/enviar-audio-file:
+ * /message/{sessionId}/enviar-audio-file:
  *   post:
  *     summary: Enviar audio a un número de WhatsApp usando archivo .ogg
  *     tags:
  *       - Mensajes
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
@@ -133,12 +171,12 @@ router.post('/enviar-audio-base64', verifyToken, async (req, res) => {
  *                 format: binary
  *                 description: Archivo de audio en formato `.ogg`
  *     responses:
- *       200:
- *         description: Audio enviado correctamente
+ *       202:
+ *         description: Audio encolado; devuelve el `jobId` para consultar su estado
  */
-router.post('/enviar-audio-file', verifyToken, upload.single('file'), async (req, res) => {
+router.post('/:sessionId/enviar-audio-file', verifyToken, authorize('messages:send'), resolveSession(), upload.single('file'), async (req, res) => {
   try {
-    let { to } = req.body;
+    const { to } = req.body;
     const audioBuffer = req.file?.buffer;
     const mimetype = req.file?.mimetype?.includes('audio/ogg')? 'audio/ogg; codecs=opus': req.file?.mimetype;
 
@@ -157,13 +195,9 @@ router.post('/enviar-audio-file', verifyToken, upload.single('file'), async (req
 
 
 
-    if (!to.includes('@')) {
-      to += '@s.whatsapp.net';
-    }
-
-    await WhatsAppService.enviarAudio(to, audioBuffer, mimetype || 'audio/ogg');
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'audio', buffer: audioBuffer, mimetype: mimetype || 'audio/ogg' });
 
-    res.sendResponse(200, { success: true, message: 'Audio enviado' });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Audio encolado'));
   } catch (error) {
     res.sendError(500, error);
   }
@@ -175,13 +209,15 @@ router.post('/enviar-audio-file', verifyToken, upload.single('file'), async (req
 
 /**
  * @swagger
- * /message/send-text:
+ * /message/{sessionId}/send-text:
  *   post:
  *     summary: Envía un mensaje de texto a un número de WhatsApp
  *     tags:
  *       - Message
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     requestBody:
  *       required: true
  *       content:
@@ -197,23 +233,761 @@ router.post('/enviar-audio-file', verifyToken, upload.single('file'), async (req
  *                 type: string
  *                 description: Contenido del mensaje
  *                 example: "Hola desde Swagger"
+ *               presence:
+ *                 type: boolean
+ *                 description: Muestra "escribiendo..." antes de enviar; por defecto `SEND_SIMULATE_PRESENCE`
+ *               quotedId:
+ *                 type: string
+ *                 description: Id de un mensaje guardado; se envía como respuesta citándolo
  *     responses:
- *       200:
- *         description: Mensaje enviado exitosamente
- *       400:
- *         description: Error al enviar el mensaje
+ *       202:
+ *         description: Mensaje encolado; devuelve el `jobId` para consultar su estado
+ *       422:
+ *         description: Datos inválidos o mensaje citado inexistente
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:sessionId/send-text', verifyToken, authorize('messages:send'), resolveSession(), validator(sendText), checkQuotedMessage, async (req, res) => {
+  try {
+    const {
+      to, message, presence, quotedId,
+    } = req.body;
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'text', text: message, quotedId }, { presence });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Message queued'));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/send-media:
+ *   post:
+ *     summary: Envía una imagen, video, documento o sticker
+ *     description: |
+ *       Acepta el archivo como `multipart/form-data` (campo `file`) o en base64 (plano o data URL) en JSON.
+ *       Si no se indica `mimetype` se detecta a partir del archivo.
+ *     tags:
+ *       - Mensajes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - type
+ *               - file
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Número de WhatsApp con o sin @s.whatsapp.net
+ *                 example: 5491122334455
+ *               type:
+ *                 type: string
+ *                 enum: [image, video, document, sticker]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               caption:
+ *                 type: string
+ *                 description: No disponible para stickers
+ *               fileName:
+ *                 type: string
+ *                 description: Solo documentos; por defecto el nombre del archivo subido
+ *               gifPlayback:
+ *                 type: boolean
+ *                 description: Solo videos; se reproduce como GIF
+ *               quotedId:
+ *                 type: string
+ *                 description: Id de un mensaje guardado; se envía como respuesta citándolo
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - type
+ *               - base64
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *               type:
+ *                 type: string
+ *                 enum: [image, video, document, sticker]
+ *               base64:
+ *                 type: string
+ *                 description: Archivo en base64 o data URL
+ *               mimetype:
+ *                 type: string
+ *                 example: application/pdf
+ *               caption:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *                 example: factura.pdf
+ *               gifPlayback:
+ *                 type: boolean
+ *               presence:
+ *                 type: boolean
+ *                 description: Muestra "escribiendo..." antes de enviar
+ *               quotedId:
+ *                 type: string
+ *                 description: Id de un mensaje guardado; se envía como respuesta citándolo
+ *     responses:
+ *       202:
+ *         description: Archivo encolado; devuelve el `jobId` para consultar su estado
+ *       422:
+ *         description: Datos inválidos o archivo faltante
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/send-text', verifyToken, validator(sendText), async (req, res) => {
+router.post('/:sessionId/send-media', verifyToken, authorize('messages:send'), resolveSession(), upload.single('file'), validator(sendMedia), checkQuotedMessage, async (req, res) => {
+  try {
+    const {
+      to, type, base64, caption, fileName, gifPlayback, presence, quotedId,
+    } = req.body;
+
+    let buffer = req.file?.buffer;
+    let mimetype = req.body.mimetype || req.file?.mimetype;
+    if (mimetype === 'application/octet-stream') mimetype = null;
+
+    if (!buffer && base64) {
+      const decoded = decodeBase64(base64);
+      buffer = decoded.buffer;
+      mimetype = req.body.mimetype || decoded.mimetype;
+    }
+
+    if (!buffer?.length) {
+      res.sendError(422, [{ message: "'file' or 'base64' is required", field: 'file' }]);
+      return;
+    }
+
+    const job = req.whatsapp.queueSend(toJid(to), {
+      type,
+      buffer,
+      mimetype: mimetype || detectMimetype(buffer) || DEFAULT_MIMETYPES[type],
+      caption,
+      fileName: type === 'document' ? fileName || req.file?.originalname || 'document' : undefined,
+      gifPlayback,
+      quotedId,
+    }, { presence });
+
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Media queued'));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/send-location:
+ *   post:
+ *     summary: Envía una ubicación
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *               latitude:
+ *                 type: number
+ *                 example: -34.6037
+ *               longitude:
+ *                 type: number
+ *                 example: -58.3816
+ *               name:
+ *                 type: string
+ *                 example: Obelisco
+ *               address:
+ *                 type: string
+ *                 example: Av. 9 de Julio s/n, Buenos Aires
+ *               presence:
+ *                 type: boolean
+ *               quotedId:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Ubicación encolada; devuelve el `jobId` para consultar su estado
+ */
+router.post('/:sessionId/send-location', verifyToken, authorize('messages:send'), resolveSession(), validator(sendLocation), checkQuotedMessage, (req, res) => {
+  try {
+    const { to, presence, ...location } = req.body;
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'location', ...location }, { presence });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Location queued'));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/send-contact:
+ *   post:
+ *     summary: Envía uno o más contactos (vCard)
+ *     description: La vCard se arma con los campos de cada contacto; los teléfonos permiten abrir el chat desde WhatsApp.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - contacts
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *               contacts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - fullName
+ *                     - phones
+ *                   properties:
+ *                     fullName:
+ *                       type: string
+ *                       example: Ana Pérez
+ *                     organization:
+ *                       type: string
+ *                     phones:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           number:
+ *                             type: string
+ *                             example: "+54 9 11 2233-4455"
+ *                           label:
+ *                             type: string
+ *                             enum: [cell, work, home, main, other]
+ *                     emails:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *               presence:
+ *                 type: boolean
+ *               quotedId:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Contactos encolados; devuelve el `jobId` para consultar su estado
+ */
+router.post('/:sessionId/send-contact', verifyToken, authorize('messages:send'), resolveSession(), validator(sendContact), checkQuotedMessage, (req, res) => {
+  try {
+    const {
+      to, contacts, presence, quotedId,
+    } = req.body;
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'contact', contacts, quotedId }, { presence });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Contact queued'));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/send-poll:
+ *   post:
+ *     summary: Envía una encuesta
+ *     description: Los votos se descifran al recibirse y se informan con el evento `poll.vote`.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *               - name
+ *               - options
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *               name:
+ *                 type: string
+ *                 example: ¿Qué día preferís?
+ *               options:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 12
+ *                 items:
+ *                   type: string
+ *                 example: ["Lunes", "Miércoles", "Viernes"]
+ *               selectableCount:
+ *                 type: integer
+ *                 description: Cantidad máxima de opciones que puede elegir cada participante; 0 sin límite
+ *                 default: 0
+ *               presence:
+ *                 type: boolean
+ *               quotedId:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Encuesta encolada; devuelve el `jobId` para consultar su estado
+ */
+router.post('/:sessionId/send-poll', verifyToken, authorize('messages:send'), resolveSession(), validator(sendPoll), checkQuotedMessage, (req, res) => {
+  try {
+    const { to, presence, ...poll } = req.body;
+    const job = req.whatsapp.queueSend(toJid(to), { type: 'poll', ...poll }, { presence });
+    res.sendResponse(202, queuedResponse(req.whatsapp, job, 'Poll queued'));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/send-template:
+ *   post:
+ *     summary: Envía una plantilla reemplazando sus variables
+ *     description: |
+ *       La plantilla se indica por `template` (nombre) o `templateId`. Si no existe en `language`
+ *       se usa el idioma base (`es-AR` -> `es`) y luego `TEMPLATE_DEFAULT_LANGUAGE`.
+ *       Las variables que usa la plantilla y no se envían se rechazan con 422.
+ *     tags:
+ *       - Mensajes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *               template:
+ *                 type: string
+ *                 example: order_shipped
+ *               templateId:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 example: es
+ *               variables:
+ *                 type: object
+ *                 example: { "name": "Ana", "orderId": "A-1001" }
+ *               presence:
+ *                 type: boolean
+ *     responses:
+ *       202:
+ *         description: Mensaje encolado; devuelve el `jobId` para consultar su estado
+ *       404:
+ *         description: Plantilla no encontrada
+ *       422:
+ *         description: Datos inválidos o variables faltantes
+ */
+router.post('/:sessionId/send-template', verifyToken, authorize('messages:send'), resolveSession(), validator(sendTemplate), (req, res) => {
+  try {
+    const {
+      to, template: name, templateId, language, variables, presence,
+    } = req.body;
+
+    const template = templateId
+      ? templates.get(templateId, { withFile: true })
+      : templates.findByName(name, language, { withFile: true });
+
+    if (!template) {
+      res.sendError(404, 'Template not found');
+      return;
+    }
+
+    const missing = missingVariables(messageTemplateText(template.message), variables);
+    if (missing.length) {
+      res.sendError(422, missing.map((variable) => ({
+        message: `'${variable}' is required by the template`,
+        field: `variables.${variable}`,
+      })));
+      return;
+    }
+
+    const message = renderMessage(template.message, variables);
+    const job = req.whatsapp.queueSend(toJid(to), toSendPayload(message), { presence });
+
+    res.sendResponse(202, {
+      ...queuedResponse(req.whatsapp, job, 'Template queued'),
+      templateId: template.id,
+      language: template.language,
+    });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/queue:
+ *   get:
+ *     summary: Estado de la cola de envíos de la sesión
+ *     description: Cantidad de envíos pendientes, el envío en curso, los límites configurados y los jobs en espera.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Estado de la cola
+ */
+router.get('/:sessionId/queue', verifyToken, authorize('messages:send'), resolveSession(), (req, res) => {
+  res.sendResponse(200, req.whatsapp.sendQueue.stats());
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/queue/{jobId}:
+ *   get:
+ *     summary: Estado de un envío encolado
+ *     description: "Estados posibles: `queued`, `sending`, `sent`, `failed` y `cancelled`."
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado del job
+ *       404:
+ *         description: Job no encontrado
+ *   delete:
+ *     summary: Cancela un envío que todavía no salió
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Envío cancelado
+ *       404:
+ *         description: Job no encontrado o ya enviado
+ */
+router.get('/:sessionId/queue/:jobId', verifyToken, authorize('messages:send'), resolveSession(), (req, res) => {
+  const job = req.whatsapp.sendQueue.get(req.params.jobId);
+  if (!job) {
+    return res.sendError(404, 'Job not found');
+  }
+  res.sendResponse(200, job);
+});
+
+router.delete('/:sessionId/queue/:jobId', verifyToken, authorize('messages:send'), resolveSession(), (req, res) => {
+  if (!req.whatsapp.sendQueue.cancel(req.params.jobId)) {
+    return res.sendError(404, 'Job not found or already sent');
+  }
+  res.sendResponse(200, { success: true, id: req.params.jobId, status: 'cancelled' });
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/read:
+ *   post:
+ *     summary: Marca como leídos mensajes recibidos
+ *     description: |
+ *       Envía la confirmación de lectura de los mensajes guardados. Con `SEND_READ_RECEIPTS=false`
+ *       quedan leídos en el teléfono sin mostrar los tildes azules al remitente.
+ *       Los mensajes enviados por el número se ignoran.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["3EB0C767D26A1D8B3F2E"]
+ *     responses:
+ *       200:
+ *         description: Ids marcados como leídos (`read`) y los que no están guardados (`notFound`)
+ */
+router.post('/:sessionId/read', verifyToken, authorize('messages:send'), resolveSession(), validator(markRead), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.markMessagesRead(req.body.ids));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/{id}/status:
+ *   get:
+ *     summary: Estado de entrega de un mensaje enviado
+ *     description: |
+ *       Estados posibles, en orden: `pending`, `server_ack`, `delivered`, `read` y `played`; `error` si el envío falló.
+ *       El historial incluye el momento de cada cambio. En grupos cada participante informa sus acuses
+ *       (`recipient`) y el estado actual es el más avanzado entre ellos.
+ *       El id es el `messageId` del envío, que informa la cola al completarse.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado actual e historial de estados
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 3EB0C767D26A1D8E5B1F
+ *               chatId: 5491122334455@s.whatsapp.net
+ *               status: read
+ *               history:
+ *                 - { status: pending, recipient: null, timestamp: 1718900000 }
+ *                 - { status: server_ack, recipient: null, timestamp: 1718900001 }
+ *                 - { status: delivered, recipient: null, timestamp: 1718900003 }
+ *                 - { status: read, recipient: null, timestamp: 1718900040 }
+ *       404:
+ *         description: No hay estados registrados para el mensaje
+ */
+/**
+ * @swagger
+ * /message/{sessionId}/{id}/reaction:
+ *   post:
+ *     summary: Reacciona a un mensaje con un emoji
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Id de un mensaje guardado
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 description: Emoji de la reacción; vacío quita la reacción
+ *                 example: 👍
+ *     responses:
+ *       202:
+ *         description: Reacción encolada; devuelve el `jobId` para consultar su estado
+ *       404:
+ *         description: Mensaje no encontrado
+ */
+router.post('/:sessionId/:id/reaction', verifyToken, authorize('messages:send'), resolveSession(), validator(reactMessage), (req, res) => {
+  try {
+    const job = req.whatsapp.reactToMessage(req.params.id, req.body.emoji);
+    res.sendResponse(202, {
+      ...queuedResponse(req.whatsapp, job, 'Reaction queued'),
+      id: req.params.id,
+      chatId: job.to,
+      emoji: req.body.emoji,
+    });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/{id}:
+ *   patch:
+ *     summary: Edita un mensaje enviado por este número
+ *     description: WhatsApp solo permite editar durante los 15 minutos posteriores al envío.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: Nuevo texto, o caption si es multimedia
+ *     responses:
+ *       202:
+ *         description: Edición encolada; devuelve el `jobId` para consultar su estado
+ *       404:
+ *         description: Mensaje no encontrado
+ *       409:
+ *         description: El mensaje no fue enviado por este número
+ *   delete:
+ *     summary: Borra un mensaje para todos
+ *     description: Los mensajes de otros participantes solo pueden borrarse en grupos donde el número es administrador.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Borrado encolado; devuelve el `jobId` para consultar su estado
+ *       404:
+ *         description: Mensaje no encontrado
+ */
+router.patch('/:sessionId/:id', verifyToken, authorize('messages:send'), resolveSession(), validator(editMessage), (req, res) => {
+  try {
+    const job = req.whatsapp.editMessage(req.params.id, req.body.text);
+    res.sendResponse(202, {
+      ...queuedResponse(req.whatsapp, job, 'Edit queued'),
+      id: req.params.id,
+      chatId: job.to,
+      text: req.body.text,
+    });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.delete('/:sessionId/:id', verifyToken, authorize('messages:send'), resolveSession(), (req, res) => {
+  try {
+    const job = req.whatsapp.deleteMessage(req.params.id);
+    res.sendResponse(202, {
+      ...queuedResponse(req.whatsapp, job, 'Delete queued'),
+      id: req.params.id,
+      chatId: job.to,
+    });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /message/{sessionId}/{id}/poll:
+ *   get:
+ *     summary: Resultados de una encuesta
+ *     description: Conteo de votos y votantes de cada opción. Cada participante cuenta con su último voto.
+ *     tags:
+ *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Id del mensaje de la encuesta
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resultados de la encuesta
+ *       404:
+ *         description: Encuesta no encontrada
+ */
+router.get('/:sessionId/:id/poll', verifyToken, authorize('messages:read'), resolveSession(), (req, res) => {
+  try {
+    const results = polls.results(req.params.sessionId, req.params.id);
+    if (!results) {
+      res.sendError(404, 'Poll not found');
+      return;
+    }
+    res.sendResponse(200, results);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.get('/:sessionId/:id/status', verifyToken, authorize('messages:read'), resolveSession(), (req, res) => {
   try {
-    const { to, message } = req.body;
-    const result = await WhatsAppService.sendMessage(to, message);
-    if (result.status === 1) {
-      res.sendResponse(200, result);
-    } else {
-      res.sendError(400, result);
+    const status = messageStore.getStatus(req.params.sessionId, req.params.id);
+    if (!status) {
+      res.sendError(404, 'Message status not found');
+      return;
     }
+    res.sendResponse(200, status);
   } catch (error) {
     res.sendError(500, error);
   }
@@ -0,0 +1,139 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const { updatePresence, subscribePresence } = require('../validators/presence');
+const { toJid } = require('../utils/jid');
+
+/**
+ * @swagger
+ * /presence/{sessionId}:
+ *   post:
+ *     summary: Cambia la presencia propia
+ *     description: |
+ *       `composing` (escribiendo), `recording` (grabando audio) y `paused` se muestran en el chat `to`.
+ *       `available` y `unavailable` son globales; con `unavailable` no se reciben las presencias de los contactos.
+ *     tags:
+ *       - Presence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - presence
+ *             properties:
+ *               presence:
+ *                 type: string
+ *                 enum: [composing, recording, paused, available, unavailable]
+ *               to:
+ *                 type: string
+ *                 description: Número o JID del chat; obligatorio para composing, recording y paused
+ *                 example: 5491122334455
+ *     responses:
+ *       200:
+ *         description: Presencia actualizada
+ */
+router.post('/:sessionId', verifyToken, authorize('messages:send'), resolveSession(), validator(updatePresence), async (req, res) => {
+  try {
+    const { presence } = req.body;
+    const to = req.body.to && toJid(req.body.to);
+    await req.whatsapp.updatePresence(presence, to);
+    res.sendResponse(200, { success: true, presence, ...(to && { to }) });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /presence/{sessionId}/subscribe:
+ *   post:
+ *     summary: Se suscribe a la presencia de un contacto o grupo
+ *     description: |
+ *       A partir de la suscripción WhatsApp informa los cambios (escribiendo, en línea, última vez)
+ *       como eventos `presence.update`. Los contactos que ocultan su última vez no la informan.
+ *     tags:
+ *       - Presence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: 5491122334455
+ *     responses:
+ *       200:
+ *         description: Suscripción enviada
+ */
+router.post('/:sessionId/subscribe', verifyToken, authorize('messages:read'), resolveSession(), validator(subscribePresence), async (req, res) => {
+  try {
+    const jid = toJid(req.body.to);
+    await req.whatsapp.subscribePresence(jid);
+    res.sendResponse(200, { success: true, id: jid });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /presence/{sessionId}/{chatId}:
+ *   get:
+ *     summary: Última presencia conocida de un chat
+ *     description: En grupos se devuelve la de cada participante. `lastSeen` es un timestamp en segundos.
+ *     tags:
+ *       - Presence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         description: Número o JID del chat
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Presencia conocida
+ *         content:
+ *           application/json:
+ *             example:
+ *               chatId: 5491122334455@s.whatsapp.net
+ *               participants:
+ *                 - chatId: 5491122334455@s.whatsapp.net
+ *                   participant: 5491122334455@s.whatsapp.net
+ *                   presence: unavailable
+ *                   lastSeen: 1718900000
+ *                   updatedAt: "2024-06-20T16:13:20.000Z"
+ *       404:
+ *         description: No se recibió la presencia del chat; hace falta suscribirse
+ */
+router.get('/:sessionId/:chatId', verifyToken, authorize('messages:read'), resolveSession(), (req, res) => {
+  const presence = req.whatsapp.getPresence(toJid(req.params.chatId));
+  if (!presence) {
+    res.sendError(404, 'Presence not known for this chat');
+    return;
+  }
+  res.sendResponse(200, presence);
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const multer = require('multer');
+
+const router = express.Router();
+const upload = multer();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const { updateProfile, updatePrivacy } = require('../validators/profile');
+const { sendWhatsAppError } = require('../utils/whatsappError');
+
+/**
+ * @swagger
+ * /profile/{sessionId}:
+ *   get:
+ *     summary: Perfil del número vinculado
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Nombre, texto de info y foto de perfil
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 5491122334455@s.whatsapp.net
+ *               name: Ventas
+ *               pictureUrl: https://pps.whatsapp.net/v/t61.24694-24/...
+ *               about: Atención de 9 a 18
+ *               aboutSetAt: "2024-06-20T16:13:20.000Z"
+ *   patch:
+ *     summary: Cambia el nombre visible y el texto de info
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 25
+ *                 example: Ventas
+ *               about:
+ *                 type: string
+ *                 maxLength: 139
+ *                 example: Atención de 9 a 18
+ *     responses:
+ *       200:
+ *         description: Perfil actualizado
+ */
+router.get('/:sessionId', verifyToken, authorize('session:read'), resolveSession(), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getProfile());
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.patch('/:sessionId', verifyToken, authorize('session:manage'), resolveSession(), validator(updateProfile), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.updateProfile(req.body));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /profile/{sessionId}/picture:
+ *   put:
+ *     summary: Cambia la foto de perfil
+ *     description: La imagen se recorta al centro y se convierte a JPEG de 640x640.
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Foto actualizada
+ *       422:
+ *         description: Falta la imagen o el archivo no es una imagen
+ *   delete:
+ *     summary: Quita la foto de perfil
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Foto eliminada
+ */
+router.put('/:sessionId/picture', verifyToken, authorize('session:manage'), resolveSession(), upload.single('file'), async (req, res) => {
+  if (!req.file?.buffer?.length || !req.file.mimetype.startsWith('image/')) {
+    res.sendError(422, [{ message: "'file' must be an image", field: 'file' }]);
+    return;
+  }
+
+  try {
+    const pictureUrl = await req.whatsapp.updateProfilePicture(req.file.buffer);
+    res.sendResponse(200, { success: true, pictureUrl });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.delete('/:sessionId/picture', verifyToken, authorize('session:manage'), resolveSession(), async (req, res) => {
+  try {
+    await req.whatsapp.removeProfilePicture();
+    res.sendResponse(200, { success: true });
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /profile/{sessionId}/privacy:
+ *   get:
+ *     summary: Ajustes de privacidad de la cuenta
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     responses:
+ *       200:
+ *         description: Ajustes actuales
+ *         content:
+ *           application/json:
+ *             example:
+ *               lastSeen: contacts
+ *               online: all
+ *               profilePicture: contacts
+ *               status: contacts
+ *               readReceipts: all
+ *               groupsAdd: contacts
+ *               calls: all
+ *               messages: all
+ *   patch:
+ *     summary: Cambia los ajustes de privacidad
+ *     description: |
+ *       Solo se cambian los ajustes presentes. `contact_blacklist` equivale a "Mis contactos, excepto...",
+ *       con las excepciones elegidas en el teléfono. Con `readReceipts: none` no se envían ni se reciben
+ *       confirmaciones de lectura (tildes azules).
+ *     tags:
+ *       - Profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lastSeen:
+ *                 type: string
+ *                 enum: [all, contacts, contact_blacklist, none]
+ *               online:
+ *                 type: string
+ *                 enum: [all, match_last_seen]
+ *               profilePicture:
+ *                 type: string
+ *                 enum: [all, contacts, contact_blacklist, none]
+ *               status:
+ *                 type: string
+ *                 enum: [all, contacts, contact_blacklist, none]
+ *                 description: Quién ve el texto de info
+ *               readReceipts:
+ *                 type: string
+ *                 enum: [all, none]
+ *               groupsAdd:
+ *                 type: string
+ *                 enum: [all, contacts, contact_blacklist, none]
+ *                 description: Quién puede agregar el número a grupos
+ *               calls:
+ *                 type: string
+ *                 enum: [all, known]
+ *                 description: "`known` silencia las llamadas de números desconocidos"
+ *               messages:
+ *                 type: string
+ *                 enum: [all, contacts]
+ *     responses:
+ *       200:
+ *         description: Ajustes actualizados
+ */
+router.get('/:sessionId/privacy', verifyToken, authorize('session:read'), resolveSession(), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.getPrivacySettings());
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+router.patch('/:sessionId/privacy', verifyToken, authorize('session:manage'), resolveSession(), validator(updatePrivacy), async (req, res) => {
+  try {
+    res.sendResponse(200, await req.whatsapp.updatePrivacySettings(req.body));
+  } catch (error) {
+    sendWhatsAppError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const resolveSession = require('../middlewares/session');
+const scheduler = require('../services/scheduler');
+const { sessionParams } = require('../validators/session');
+const { createSchedule, updateSchedule, listSchedules } = require('../validators/schedule');
+const { toJid } = require('../utils/jid');
+
+/**
+ * Errores de `scheduler`: fecha inválida (422, con el formato del validador) o estado incorrecto
+ */
+const sendScheduleError = (res, error) => {
+  if (error.field) {
+    res.sendError(422, [{ message: error.message, field: error.field }]);
+    return;
+  }
+  res.sendError(error.status || 500, error);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessagePayload:
+ *       type: object
+ *       required:
+ *         - type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [text, image, video, audio, document, sticker]
+ *         text:
+ *           type: string
+ *           description: Solo para `text`
+ *         base64:
+ *           type: string
+ *           description: Archivo en base64 o data URL; requerido salvo para `text`
+ *         mimetype:
+ *           type: string
+ *           description: Se detecta a partir del archivo si no se indica
+ *         caption:
+ *           type: string
+ *           description: Solo imágenes, videos y documentos
+ *         fileName:
+ *           type: string
+ *           description: Solo documentos
+ *         gifPlayback:
+ *           type: boolean
+ *           description: Solo videos
+ *     ScheduledMessage:
+ *       type: object
+ *       properties:
+ *         to:
+ *           type: string
+ *           example: 5491122334455
+ *         message:
+ *           $ref: '#/components/schemas/MessagePayload'
+ *         sendAt:
+ *           type: string
+ *           description: Fecha ISO 8601. Sin offset se interpreta en `timezone`.
+ *           example: "2025-07-01T09:00:00"
+ *         timezone:
+ *           type: string
+ *           description: Zona horaria IANA; por defecto `SCHEDULE_DEFAULT_TIMEZONE`
+ *           example: America/Argentina/Buenos_Aires
+ *         recurrence:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             frequency:
+ *               type: string
+ *               enum: [hourly, daily, weekly, monthly]
+ *             interval:
+ *               type: integer
+ *               default: 1
+ *               description: Cada cuántas unidades de `frequency` se repite
+ *             until:
+ *               type: string
+ *               description: Última fecha posible (ISO 8601)
+ *             count:
+ *               type: integer
+ *               description: Cantidad total de envíos
+ */
+
+/**
+ * @swagger
+ * /schedules/{sessionId}:
+ *   post:
+ *     summary: Programa un mensaje para una fecha, con repetición opcional
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduledMessage'
+ *     responses:
+ *       201:
+ *         description: Mensaje programado
+ *       422:
+ *         description: Datos inválidos o fecha en el pasado
+ *   get:
+ *     summary: Lista los mensajes programados de la sesión
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, sending, sent, failed, cancelled]
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de mensajes programados, por fecha de envío
+ */
+router.post('/:sessionId', verifyToken, authorize('messages:send'), resolveSession(), validator(createSchedule), (req, res) => {
+  try {
+    const scheduled = scheduler.create(req.params.sessionId, { ...req.body, to: toJid(req.body.to) });
+    res.sendResponse(201, scheduled);
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+router.get('/:sessionId', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), validator(listSchedules, 'query'), (req, res) => {
+  try {
+    const { to, ...query } = req.query;
+    res.sendResponse(200, scheduler.list(req.params.sessionId, { ...query, to: to && toJid(to) }));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /schedules/{sessionId}/{id}:
+ *   get:
+ *     summary: Detalle de un mensaje programado
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mensaje programado
+ *       404:
+ *         description: No encontrado
+ *   patch:
+ *     summary: Modifica un mensaje programado que todavía no se envió
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduledMessage'
+ *     responses:
+ *       200:
+ *         description: Mensaje actualizado
+ *       404:
+ *         description: No encontrado
+ *       409:
+ *         description: El mensaje ya se envió o fue cancelado
+ *   delete:
+ *     summary: Cancela un mensaje programado
+ *     tags:
+ *       - Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mensaje cancelado
+ *       404:
+ *         description: No existe un mensaje pendiente con ese id
+ *       409:
+ *         description: El mensaje ya se está enviando
+ */
+router.get('/:sessionId/:id', verifyToken, authorize('messages:read'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    const scheduled = scheduler.get(req.params.sessionId, req.params.id);
+    if (!scheduled) {
+      res.sendError(404, 'Scheduled message not found');
+      return;
+    }
+    res.sendResponse(200, scheduled);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.patch('/:sessionId/:id', verifyToken, authorize('messages:send'), validator(sessionParams, 'params'), validator(updateSchedule), (req, res) => {
+  try {
+    const changes = req.body.to ? { ...req.body, to: toJid(req.body.to) } : req.body;
+    const scheduled = scheduler.update(req.params.sessionId, req.params.id, changes);
+    if (!scheduled) {
+      res.sendError(404, 'Scheduled message not found');
+      return;
+    }
+    res.sendResponse(200, scheduled);
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+router.delete('/:sessionId/:id', verifyToken, authorize('messages:send'), validator(sessionParams, 'params'), (req, res) => {
+  try {
+    if (!scheduler.cancel(req.params.sessionId, req.params.id)) {
+      res.sendError(404, 'Pending scheduled message not found');
+      return;
+    }
+    res.sendResponse(200, { success: true, id: req.params.id, status: 'cancelled' });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+module.exports = router;
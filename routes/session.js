@@ -4,9 +4,12 @@ const QRCode = require('qrcode');
 
 const router = express.Router();
 const verifyToken = require('../middlewares/verifyToken');
-const WhatsAppService = require('../services/baileys');
-
-console.log('WhatsAppService methods:', Object.keys(WhatsAppService));
+const authorize = require('../middlewares/authorize');
+const resolveSession = require('../middlewares/session');
+const validator = require('../middlewares/validator');
+const SessionManager = require('../services/sessionManager');
+const { startSession, listMessages, deleteMessages } = require('../validators/session');
+const { contentDisposition, streamToBuffer } = require('../utils/media');
 
 
 async function generateQRBase64(text) {
@@ -24,23 +27,55 @@ async function generateQRBase64(text) {
 
 /**
  * @swagger
- * /session/start:
+ * /session:
+ *   get:
+ *     summary: Lista las sesiones de WhatsApp registradas en el servidor
+ *     tags:
+ *       - Session
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de cada sesión registrada
+ */
+router.get('/', verifyToken, authorize('session:read'), (req, res) => {
+  res.sendResponse(200, { success: true, sessions: SessionManager.list() });
+});
+
+/**
+ * @swagger
+ * /session/{sessionId}/start:
  *   post:
- *     summary: Inicia una nueva sesión de WhatsApp y genera un QR
+ *     summary: Inicia una nueva sesión de WhatsApp y genera un QR o un código de vinculación
+ *     description: |
+ *       Sin body se vincula escaneando el QR. Con `phoneNumber` se devuelve un código de 8 caracteres
+ *       (`status: waiting_pairing`) para ingresar en el teléfono, en Dispositivos vinculados >
+ *       Vincular con el número de teléfono.
  *     tags:
  *       - Session
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Número a vincular, con código de país
+ *                 example: "5491122334455"
  *     responses:
  *       200:
- *         description: Devuelve el estado de la sesión y el QR en base64 si corresponde
+ *         description: Devuelve el estado de la sesión y el QR en base64 o el código de vinculación si corresponde
  */
-router.post('/start', verifyToken, async (req, res) => {
+router.post('/:sessionId/start', verifyToken, authorize('session:manage'), validator(startSession), resolveSession({ create: true }), async (req, res) => {
   try {
-    //const result = await WhatsAppService.initialize();
-	 
-    
-     const result = await WhatsAppService.initialize(false);
+    const phoneNumber = req.body.phoneNumber?.replace(/\D/g, '');
+    const result = await req.whatsapp.initialize(false, { phoneNumber });
 
     if (!result.success) {
       res.sendError(500, result);
@@ -64,21 +99,23 @@ router.post('/start', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/status:
+ * /session/{sessionId}/status:
  *   get:
  *     summary: Verifica el estado actual de la sesión de WhatsApp
  *     tags:
  *       - Session
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     responses:
  *       200:
- *         description: Devuelve el estado de conexión actual, y QR si está esperando
+ *         description: Devuelve el estado de conexión actual, y el QR o el código de vinculación si está esperando
  */
-router.get('/status', verifyToken, async (req, res) => {
+router.get('/:sessionId/status', verifyToken, authorize('session:read'), resolveSession(), async (req, res) => {
   try {
-    const status = WhatsAppService.getConnectionStatus();
-        const qr = WhatsAppService.getLatestQR();
+    const status = req.whatsapp.getConnectionStatus();
+        const qr = req.whatsapp.getLatestQR();
 
     if (qr) {
       const qrBase64 = await generateQRBase64(qr);
@@ -104,14 +141,16 @@ router.get('/status', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/statusDirect:
+ * /session/{sessionId}/statusDirect:
  *   get:
  *     summary: Devuelve el estado actual de la sesión
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  */
-router.get('/statusDirect', verifyToken, async (req, res) => {
-  const status = WhatsAppService.sessionStatus();
+router.get('/:sessionId/statusDirect', verifyToken, authorize('session:read'), resolveSession(), async (req, res) => {
+  const status = req.whatsapp.sessionStatus();
   res.sendResponse(200, status);
 });
 
@@ -119,15 +158,17 @@ router.get('/statusDirect', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/sleep:
+ * /session/{sessionId}/sleep:
  *   post:
  *     summary: Inactiva (duerme) la sesión, como desconexión en WhatsApp Web
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  */
-router.post('/sleep', verifyToken, async (req, res) => {
+router.post('/:sessionId/sleep', verifyToken, authorize('session:manage'), resolveSession(), async (req, res) => {
   try {
-    const result = await WhatsAppService.sleepSession();
+    const result = await req.whatsapp.sleepSession();
     res.sendResponse(200, result);
   } catch (err) {
     res.sendError(500, err);
@@ -137,15 +178,17 @@ router.post('/sleep', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/wake:
+ * /session/{sessionId}/wake:
  *   post:
  *     summary: Reactiva la sesión si está dormida
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  */
-router.post('/wake', verifyToken, async (req, res) => {
+router.post('/:sessionId/wake', verifyToken, authorize('session:manage'), resolveSession(), async (req, res) => {
   try {
-    const result = await WhatsAppService.wakeSession();
+    const result = await req.whatsapp.wakeSession();
     res.sendResponse(200, result);
   } catch (err) {
     res.sendError(500, err);
@@ -158,21 +201,24 @@ router.post('/wake', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/logout:
+ * /session/{sessionId}/logout:
  *   post:
  *     summary: Cierra la sesión de WhatsApp
  *     tags:
  *       - Session
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *     responses:
  *       200:
  *         description: Resultado del cierre de sesión
  */
-router.post('/logout', verifyToken, async (req, res) => {
+router.post('/:sessionId/logout', verifyToken, authorize('session:manage'), resolveSession(), async (req, res) => {
   try {
-    const result = await WhatsAppService.logout();
+    const result = await req.whatsapp.logout();
     if (result.success) {
+      SessionManager.remove(req.whatsapp.sessionId);
       res.sendResponse(200, result);
     } else {
       res.sendError(400, result);
@@ -185,21 +231,50 @@ router.post('/logout', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/mensajes/recibidos:
+ * /session/{sessionId}/mensajes/recibidos:
  *   get:
- *     summary: Devuelve los mensajes recibidos desde WhatsApp almacenados en memoria
+ *     summary: Devuelve los mensajes almacenados de la sesión, paginados y filtrados
  *     tags:
  *       - Session
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ChatIdFilter'
+ *       - $ref: '#/components/parameters/SenderFilter'
+ *       - $ref: '#/components/parameters/TypeFilter'
+ *       - $ref: '#/components/parameters/DirectionFilter'
+ *       - $ref: '#/components/parameters/IsGroupFilter'
+ *       - $ref: '#/components/parameters/SinceFilter'
+ *       - $ref: '#/components/parameters/UntilFilter'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
  *     responses:
  *       200:
- *         description: Lista de mensajes recibidos
+ *         description: Página de mensajes, del más reciente al más antiguo
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
  *                 mensajes:
  *                   type: array
  *                   items:
@@ -209,8 +284,16 @@ router.post('/logout', verifyToken, async (req, res) => {
  *                         type: string
  *                       from:
  *                         type: string
+ *                       sender:
+ *                         type: string
  *                       fromMe:
  *                         type: boolean
+ *                       direction:
+ *                         type: string
+ *                       isGroup:
+ *                         type: boolean
+ *                       chatId:
+ *                         type: string
  *                       timestamp:
  *                         type: number
  *                       type:
@@ -220,15 +303,19 @@ router.post('/logout', verifyToken, async (req, res) => {
  *                       content:
  *                         type: object
  */
-router.get('/mensajes/recibidos', verifyToken, (req, res) => {
-  const mensajes = WhatsAppService.getReceivedMessages();
-  res.sendResponse(200, { mensajes });
+router.get('/:sessionId/mensajes/recibidos', verifyToken, authorize('messages:read'), resolveSession(), validator(listMessages, 'query'), (req, res) => {
+  try {
+    const { messages, pagination } = req.whatsapp.getReceivedMessages(req.query);
+    res.sendResponse(200, { pagination, mensajes: messages });
+  } catch (error) {
+    res.sendError(500, error);
+  }
 });
 
 
 /**
  * @swagger
- * /session/mensajes/audio/{id}:
+ * /session/{sessionId}/mensajes/audio/{id}:
  *   get:
  *     summary: Obtener stream de audio recibido por WhatsApp
  *     description: Retorna el audio como un stream, útil para reproducir directamente desde el navegador o descargar.
@@ -237,6 +324,7 @@ router.get('/mensajes/recibidos', verifyToken, (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *       - in: path
  *         name: id
  *         required: true
@@ -260,11 +348,11 @@ router.get('/mensajes/recibidos', verifyToken, (req, res) => {
  *       500:
  *         description: Error interno al intentar recuperar el audio
  */
-router.get('/mensajes/audio/:id', async (req, res) => {
+router.get('/:sessionId/mensajes/audio/:id', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { stream, mimetype } = await WhatsAppService.getAudioStreamById(id);
+    const { stream, mimetype } = await req.whatsapp.getAudioStreamById(id);
 
     res.setHeader('Content-Type', mimetype);
     res.setHeader('Content-Disposition', `inline; filename="${id}.ogg"`); // O .mp3 según el caso
@@ -281,7 +369,7 @@ router.get('/mensajes/audio/:id', async (req, res) => {
 
 /**
  * @swagger
- * /session/mensajes/audio/{id}/base64:
+ * /session/{sessionId}/mensajes/audio/{id}/base64:
  *   get:
  *     summary: Obtener el contenido del mensaje de audio en base64
  *     description: Devuelve el audio recibido codificado en base64 junto con su mimetype.
@@ -290,6 +378,7 @@ router.get('/mensajes/audio/:id', async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
  *       - in: path
  *         name: id
  *         required: true
@@ -317,11 +406,11 @@ router.get('/mensajes/audio/:id', async (req, res) => {
  *       500:
  *         description: Error interno al recuperar el audio
  */
-router.get('/mensajes/audio/:id/base64', verifyToken, async (req, res) => {
+router.get('/:sessionId/mensajes/audio/:id/base64', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { stream, mimetype } = await WhatsAppService.getAudioStreamById(id);
+    const { stream, mimetype } = await req.whatsapp.getAudioStreamById(id);
 
     const chunks = [];
     stream.on('data', chunk => chunks.push(chunk));
@@ -353,13 +442,146 @@ router.get('/mensajes/audio/:id/base64', verifyToken, async (req, res) => {
 
 /**
  * @swagger
- * /session/mensajes/recibidos:
+ * /session/{sessionId}/mensajes/media/{id}:
+ *   get:
+ *     summary: Obtener stream de cualquier archivo multimedia recibido
+ *     description: Funciona para imágenes, videos, audios, documentos y stickers. Los documentos conservan su nombre original en Content-Disposition.
+ *     tags:
+ *       - Mensajes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del mensaje multimedia (proveniente de mensajes/recibidos)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo devuelto con su Content-Type original
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: No se encontró el mensaje multimedia
+ */
+router.get('/:sessionId/mensajes/media/:id', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
+  const { id } = req.params;
+
+  let media;
+  try {
+    media = await req.whatsapp.getMediaStreamById(id);
+  } catch (error) {
+    res.sendError(404, error.message || 'Archivo no encontrado');
+    return;
+  }
+
+  res.setHeader('Content-Type', media.mimetype);
+  res.setHeader('Content-Disposition', contentDisposition(media.fileName));
+  media.stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.sendError(500, error);
+    }
+  });
+  media.stream.pipe(res);
+});
+
+
+/**
+ * @swagger
+ * /session/{sessionId}/mensajes/media/{id}/base64:
+ *   get:
+ *     summary: Obtener cualquier archivo multimedia recibido en base64
+ *     tags:
+ *       - Mensajes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del mensaje multimedia (proveniente de mensajes/recibidos)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo codificado en base64
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 id:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                   example: document
+ *                 mimetype:
+ *                   type: string
+ *                 fileName:
+ *                   type: string
+ *                 base64:
+ *                   type: string
+ *       404:
+ *         description: No se encontró el mensaje multimedia
+ *       500:
+ *         description: Error interno al descargar el archivo
+ */
+router.get('/:sessionId/mensajes/media/:id/base64', verifyToken, authorize('messages:read'), resolveSession(), async (req, res) => {
+  const { id } = req.params;
+
+  let media;
+  try {
+    media = await req.whatsapp.getMediaStreamById(id);
+  } catch (error) {
+    res.sendError(404, error.message || 'Archivo no encontrado');
+    return;
+  }
+
+  try {
+    const buffer = await streamToBuffer(media.stream);
+    res.sendResponse(200, {
+      success: true,
+      id,
+      type: media.type,
+      mimetype: media.mimetype,
+      fileName: media.fileName,
+      base64: buffer.toString('base64'),
+    });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+
+/**
+ * @swagger
+ * /session/{sessionId}/mensajes/recibidos:
  *   delete:
- *     summary: Elimina los mensajes en memoria
+ *     summary: Elimina los mensajes almacenados de la sesión
+ *     description: Sin filtros elimina todos los mensajes de la sesión; con filtros solo los que coinciden.
  *     tags:
  *       - Session
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - $ref: '#/components/parameters/ChatIdFilter'
+ *       - $ref: '#/components/parameters/SenderFilter'
+ *       - $ref: '#/components/parameters/TypeFilter'
+ *       - $ref: '#/components/parameters/DirectionFilter'
+ *       - $ref: '#/components/parameters/IsGroupFilter'
+ *       - $ref: '#/components/parameters/SinceFilter'
+ *       - $ref: '#/components/parameters/UntilFilter'
  *     responses:
  *       200:
  *         description: Confirmación de que los mensajes fueron eliminados
@@ -370,15 +592,22 @@ router.get('/mensajes/audio/:id/base64', verifyToken, async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 deleted:
+ *                   type: integer
  *                 message:
  *                   type: string
  */
-router.delete('/mensajes/recibidos', verifyToken, (req, res) => {
-  WhatsAppService.clearReceivedMessages();
-  res.sendResponse(200, {
-    success: true,
-    message: 'Mensajes eliminados de memoria',
-  });
+router.delete('/:sessionId/mensajes/recibidos', verifyToken, authorize('session:manage'), resolveSession(), validator(deleteMessages, 'query'), (req, res) => {
+  try {
+    const deleted = req.whatsapp.clearReceivedMessages(req.query);
+    res.sendResponse(200, {
+      success: true,
+      deleted,
+      message: 'Mensajes eliminados',
+    });
+  } catch (error) {
+    res.sendError(500, error);
+  }
 });
 
 
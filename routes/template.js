@@ -0,0 +1,216 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const templates = require('../services/templates');
+const { createTemplate, updateTemplate, listTemplates } = require('../validators/template');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: order_shipped
+ *         language:
+ *           type: string
+ *           description: Código de idioma; por defecto `TEMPLATE_DEFAULT_LANGUAGE`
+ *           example: es
+ *         description:
+ *           type: string
+ *         message:
+ *           $ref: '#/components/schemas/MessagePayload'
+ */
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: Lista las plantillas de mensajes
+ *     description: Cada plantilla incluye las variables (`{{nombre}}`) que usa.
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de plantillas
+ *   post:
+ *     summary: Crea una plantilla
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *           example:
+ *             name: order_shipped
+ *             language: es
+ *             message:
+ *               type: text
+ *               text: "Hola {{name}}, tu pedido {{orderId}} fue enviado"
+ *     responses:
+ *       201:
+ *         description: Plantilla creada
+ *       409:
+ *         description: Ya existe una plantilla con ese nombre e idioma
+ */
+router.get('/', verifyToken, authorize('messages:read'), validator(listTemplates, 'query'), (req, res) => {
+  try {
+    res.sendResponse(200, templates.list(req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.post('/', verifyToken, authorize('messages:send'), validator(createTemplate), (req, res) => {
+  try {
+    const template = { ...req.body, language: req.body.language || templates.defaultLanguage() };
+    if (templates.exists(template.name, template.language)) {
+      res.sendError(409, 'Template already exists for this language');
+      return;
+    }
+    res.sendResponse(201, templates.create(template));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   get:
+ *     summary: Detalle de una plantilla
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plantilla encontrada
+ *       404:
+ *         description: Plantilla no encontrada
+ *   patch:
+ *     summary: Modifica una plantilla
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       200:
+ *         description: Plantilla actualizada
+ *       404:
+ *         description: Plantilla no encontrada
+ *       409:
+ *         description: Ya existe otra plantilla con ese nombre e idioma
+ *   delete:
+ *     summary: Elimina una plantilla
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plantilla eliminada
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+router.get('/:id', verifyToken, authorize('messages:read'), (req, res) => {
+  try {
+    const template = templates.get(req.params.id);
+    if (!template) {
+      res.sendError(404, 'Template not found');
+      return;
+    }
+    res.sendResponse(200, template);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.patch('/:id', verifyToken, authorize('messages:send'), validator(updateTemplate), (req, res) => {
+  try {
+    const current = templates.get(req.params.id);
+    if (!current) {
+      res.sendError(404, 'Template not found');
+      return;
+    }
+
+    const name = req.body.name || current.name;
+    const language = req.body.language || current.language;
+    if (templates.exists(name, language, current.id)) {
+      res.sendError(409, 'Template already exists for this language');
+      return;
+    }
+
+    res.sendResponse(200, templates.update(req.params.id, req.body));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+router.delete('/:id', verifyToken, authorize('messages:send'), (req, res) => {
+  try {
+    if (!templates.remove(req.params.id)) {
+      res.sendError(404, 'Template not found');
+      return;
+    }
+    res.sendResponse(200, { success: true, id: req.params.id });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const users = require('../services/users');
+const tokens = require('../services/tokens');
+const { createUser, updateUser, setPassword } = require('../validators/user');
+
+router.use(verifyToken, authorize('users:manage'));
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Lista los usuarios
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuarios registrados
+ */
+router.get('/', (req, res) => {
+  try {
+    res.sendResponse(200, { users: users.list() });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   post:
+ *     summary: Crea un usuario
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *               - role
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operator, readonly]
+ *     responses:
+ *       201:
+ *         description: Usuario creado
+ *       409:
+ *         description: El nombre de usuario ya existe
+ */
+router.post('/', validator(createUser), async (req, res) => {
+  try {
+    if (users.findByUsername(req.body.username)) {
+      return res.sendError(409, 'Username already exists');
+    }
+
+    const user = await users.create(req.body);
+    res.sendResponse(201, user);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Detalle de un usuario
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const user = users.get(req.params.id);
+    if (!user) {
+      return res.sendError(404, 'User not found');
+    }
+    res.sendResponse(200, user);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   patch:
+ *     summary: Cambia el rol de un usuario o lo habilita / deshabilita
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operator, readonly]
+ *               disabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       400:
+ *         description: No se puede quitar permisos o deshabilitar la propia cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.patch('/:id', validator(updateUser), (req, res) => {
+  try {
+    const isSelf = req.params.id === req.user.id;
+    if (isSelf && (req.body.disabled || (req.body.role && req.body.role !== 'admin'))) {
+      return res.sendError(400, 'You cannot disable or demote your own account');
+    }
+
+    const user = users.update(req.params.id, req.body);
+    if (!user) {
+      return res.sendError(404, 'User not found');
+    }
+
+    if (user.disabled) {
+      tokens.revokeUser(user.id);
+    }
+    res.sendResponse(200, user);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/password:
+ *   put:
+ *     summary: Establece una nueva contraseña para un usuario
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.put('/:id/password', validator(setPassword), async (req, res) => {
+  try {
+    if (!(await users.setPassword(req.params.id, req.body.password))) {
+      return res.sendError(404, 'User not found');
+    }
+
+    tokens.revokeUser(req.params.id);
+    res.sendResponse(200, { success: true, message: 'Password updated' });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Cierra todas las sesiones de un usuario
+ *     description: Revoca sus refresh tokens e invalida los access tokens emitidos hasta el momento.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/:id/revoke-sessions', (req, res) => {
+  try {
+    if (!users.get(req.params.id)) {
+      return res.sendError(404, 'User not found');
+    }
+
+    const revokedRefreshTokens = tokens.revokeUser(req.params.id);
+    res.sendResponse(200, { success: true, id: req.params.id, revokedRefreshTokens });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Elimina un usuario
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuario eliminado
+ *       400:
+ *         description: No se puede eliminar la propia cuenta
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.sendError(400, 'You cannot delete your own account');
+    }
+
+    if (!users.remove(req.params.id)) {
+      return res.sendError(404, 'User not found');
+    }
+
+    tokens.revokeUser(req.params.id);
+    res.sendResponse(200, { success: true, id: req.params.id });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+
+const router = express.Router();
+const verifyToken = require('../middlewares/verifyToken');
+const authorize = require('../middlewares/authorize');
+const validator = require('../middlewares/validator');
+const webhookService = require('../services/webhook');
+const subscriptions = require('../services/webhookSubscriptions');
+const {
+  listDeliveries, replayDeliveries, createSubscription, updateSubscription,
+} = require('../validators/webhook');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           example: https://crm.example.com/whatsapp
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           description: Tipos de evento a recibir (`message.received`, `message.*`, ...). Vacío recibe todos.
+ *           items:
+ *             type: string
+ *         chats:
+ *           type: array
+ *           description: JIDs de chats o grupos. `@g.us` coincide con todos los grupos y `@s.whatsapp.net` con todos los chats individuales. Vacío recibe todos.
+ *           items:
+ *             type: string
+ *         sessions:
+ *           type: array
+ *           description: Sesiones a escuchar. Vacío recibe todas.
+ *           items:
+ *             type: string
+ *         headers:
+ *           type: object
+ *           description: Cabeceras adicionales enviadas en cada request
+ *           additionalProperties:
+ *             type: string
+ *         secret:
+ *           type: string
+ *           description: Secreto propio para firmar los payloads (por defecto `WEBHOOK_SECRET`). No se devuelve en las respuestas.
+ *         enabled:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /webhooks/deliveries:
+ *   get:
+ *     summary: Lista las entregas de webhook y su estado
+ *     description: Las entregas con `status=dead` agotaron sus reintentos y forman el dead-letter queue.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subscriptionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Página de entregas, de la más reciente a la más antigua
+ */
+router.get('/deliveries', verifyToken, authorize('webhooks:manage'), validator(listDeliveries, 'query'), (req, res) => {
+  try {
+    res.sendResponse(200, webhookService.list(req.query));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries/replay:
+ *   post:
+ *     summary: Reintenta todas las entregas del dead-letter queue
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 description: Solo entregas de este evento
+ *               sessionId:
+ *                 type: string
+ *                 description: Solo entregas de esta sesión
+ *     responses:
+ *       200:
+ *         description: Cantidad de entregas encoladas nuevamente
+ */
+router.post('/deliveries/replay', verifyToken, authorize('webhooks:manage'), validator(replayDeliveries), (req, res) => {
+  try {
+    const replayed = webhookService.replayAll(req.body);
+    res.sendResponse(200, { success: true, replayed });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Detalle de una entrega, incluido el payload enviado
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entrega encontrada
+ *       404:
+ *         description: Entrega no encontrada
+ */
+router.get('/deliveries/:id', verifyToken, authorize('webhooks:manage'), (req, res) => {
+  try {
+    const delivery = webhookService.get(req.params.id);
+    if (!delivery) {
+      res.sendError(404, 'Delivery not found');
+      return;
+    }
+    res.sendResponse(200, delivery);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Reintenta una entrega del dead-letter queue
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entrega encolada nuevamente
+ *       404:
+ *         description: No existe una entrega fallida con ese id
+ */
+router.post('/deliveries/:id/replay', verifyToken, authorize('webhooks:manage'), (req, res) => {
+  try {
+    if (!webhookService.replay(req.params.id)) {
+      res.sendError(404, 'Dead-letter delivery not found');
+      return;
+    }
+    res.sendResponse(200, { success: true, id: req.params.id, status: 'pending' });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/subscriptions:
+ *   get:
+ *     summary: Lista los webhooks registrados
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks registrados
+ */
+router.get('/subscriptions', verifyToken, authorize('webhooks:manage'), (req, res) => {
+  try {
+    res.sendResponse(200, { subscriptions: subscriptions.list() });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/subscriptions:
+ *   post:
+ *     summary: Registra un nuevo webhook con sus filtros
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       201:
+ *         description: Webhook registrado
+ *       422:
+ *         description: Datos inválidos
+ */
+router.post('/subscriptions', verifyToken, authorize('webhooks:manage'), validator(createSubscription), (req, res) => {
+  try {
+    res.sendResponse(201, subscriptions.create(req.body));
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/subscriptions/{id}:
+ *   get:
+ *     summary: Detalle de un webhook registrado
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook encontrado
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.get('/subscriptions/:id', verifyToken, authorize('webhooks:manage'), (req, res) => {
+  try {
+    const subscription = subscriptions.get(req.params.id);
+    if (!subscription) {
+      res.sendError(404, 'Subscription not found');
+      return;
+    }
+    res.sendResponse(200, subscription);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/subscriptions/{id}:
+ *   patch:
+ *     summary: Modifica un webhook registrado
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscription'
+ *     responses:
+ *       200:
+ *         description: Webhook actualizado
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.patch('/subscriptions/:id', verifyToken, authorize('webhooks:manage'), validator(updateSubscription), (req, res) => {
+  try {
+    const subscription = subscriptions.update(req.params.id, req.body);
+    if (!subscription) {
+      res.sendError(404, 'Subscription not found');
+      return;
+    }
+    res.sendResponse(200, subscription);
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/subscriptions/{id}:
+ *   delete:
+ *     summary: Elimina un webhook registrado
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook eliminado
+ *       404:
+ *         description: Webhook no encontrado
+ */
+router.delete('/subscriptions/:id', verifyToken, authorize('webhooks:manage'), (req, res) => {
+  try {
+    if (!subscriptions.remove(req.params.id)) {
+      res.sendError(404, 'Subscription not found');
+      return;
+    }
+    res.sendResponse(200, { success: true, id: req.params.id });
+  } catch (error) {
+    res.sendError(500, error);
+  }
+});
+
+module.exports = router;
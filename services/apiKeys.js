@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+
+const KEY_PREFIX = 'bra_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  constructor() {
+    this.db = null;
+    this.keyPrefix = KEY_PREFIX;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          prefix TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          expires_at INTEGER,
+          last_used_at INTEGER,
+          revoked_at INTEGER,
+          created_by TEXT,
+          created_at INTEGER NOT NULL
+        )
+      `);
+    }
+    return this.db;
+  }
+
+  static fromRow(row) {
+    const toIso = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.prefix,
+      scopes: JSON.parse(row.scopes),
+      expiresAt: toIso(row.expires_at),
+      lastUsedAt: toIso(row.last_used_at),
+      revokedAt: toIso(row.revoked_at),
+      createdBy: row.created_by,
+      createdAt: toIso(row.created_at),
+    };
+  }
+
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(this.keyPrefix);
+  }
+
+  list() {
+    return this.getDb()
+      .prepare('SELECT * FROM api_keys ORDER BY created_at DESC')
+      .all()
+      .map((row) => ApiKeyService.fromRow(row));
+  }
+
+  get(id) {
+    const row = this.getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? ApiKeyService.fromRow(row) : null;
+  }
+
+  /**
+   * Genera una nueva key. Solo se guarda su hash: el valor en claro
+   * se devuelve únicamente en esta llamada.
+   */
+  create({
+    name, scopes, expiresAt = null, createdBy = null,
+  }) {
+    const id = crypto.randomUUID();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    this.getDb().prepare(`
+      INSERT INTO api_keys (id, name, prefix, key_hash, scopes, expires_at, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      name,
+      key.slice(0, KEY_PREFIX.length + 6),
+      hashKey(key),
+      JSON.stringify(scopes),
+      expiresAt ? new Date(expiresAt).getTime() : null,
+      createdBy,
+      Date.now(),
+    );
+
+    return { ...this.get(id), key };
+  }
+
+  revoke(id) {
+    return this.getDb()
+      .prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(Date.now(), id).changes > 0;
+  }
+
+  /**
+   * Valida una key recibida y registra su uso. Devuelve null si no existe,
+   * está revocada o venció.
+   */
+  authenticate(key) {
+    const row = this.getDb().prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(key));
+    const now = Date.now();
+
+    if (!row || row.revoked_at || (row.expires_at && row.expires_at <= now)) {
+      return null;
+    }
+
+    this.getDb().prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now, row.id);
+    return ApiKeyService.fromRow({ ...row, last_used_at: now });
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,48 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { useMultiFileAuthState } = require('@whiskeysockets/baileys');
+
+const SESSIONS_DIR = path.join(__dirname, '../../sessions');
+
+/**
+ * Credenciales en una carpeta por sesión (`sessions/<sessionId>`)
+ */
+const createFileAuthStore = (sessionId) => {
+  const sessionPath = path.join(SESSIONS_DIR, sessionId);
+
+  return {
+    async exists() {
+      try {
+        await fs.access(sessionPath);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    load() {
+      return useMultiFileAuthState(sessionPath);
+    },
+
+    async clear() {
+      await fs.rm(sessionPath, { recursive: true, force: true });
+    },
+  };
+};
+
+/**
+ * Sesiones con credenciales guardadas
+ */
+const listFileSessions = async () => {
+  const entries = await fs.readdir(SESSIONS_DIR, { withFileTypes: true }).catch(() => []);
+  const sessions = await Promise.all(entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => fs.access(path.join(SESSIONS_DIR, entry.name, 'creds.json'))
+      .then(() => entry.name, () => null)));
+  return sessions.filter(Boolean);
+};
+
+module.exports = {
+  createFileAuthStore,
+  listFileSessions,
+};
@@ -0,0 +1,37 @@
+const { createFileAuthStore, listFileSessions } = require('./file');
+const { createSqliteAuthStore, listSqliteSessions } = require('./sqlite');
+const { createRedisAuthStore, listRedisSessions } = require('./redis');
+
+const backends = {
+  file: { create: createFileAuthStore, listSessions: listFileSessions },
+  sqlite: { create: createSqliteAuthStore, listSessions: listSqliteSessions },
+  redis: { create: createRedisAuthStore, listSessions: listRedisSessions },
+};
+
+const getBackend = (backend) => {
+  if (!backends[backend]) {
+    throw new Error(`Unknown AUTH_STORE "${backend}", expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+  return backends[backend];
+};
+
+/**
+ * Devuelve el almacenamiento de credenciales configurado en `AUTH_STORE`.
+ *
+ * Todos los backends exponen la misma interfaz:
+ * - `exists()`: si la sesión ya tiene credenciales guardadas
+ * - `load()`: `{ state, saveCreds }` para pasarle a `makeWASocket`
+ * - `clear()`: elimina credenciales y claves de la sesión
+ */
+const createAuthStore = (sessionId, backend = process.env.AUTH_STORE || 'file') => getBackend(backend)
+  .create(sessionId);
+
+/**
+ * Ids de las sesiones que tienen credenciales guardadas en `AUTH_STORE`
+ */
+const listAuthSessions = (backend = process.env.AUTH_STORE || 'file') => getBackend(backend).listSessions();
+
+module.exports = {
+  createAuthStore,
+  listAuthSessions,
+};
@@ -0,0 +1,50 @@
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+/**
+ * Arma el auth state de Baileys sobre cualquier almacenamiento clave/valor.
+ * `read`, `write` y `remove` reciben claves como `creds` o `pre-key-12`
+ * y trabajan con valores serializados en JSON.
+ */
+const makeKeyValueAuthState = async ({ read, write, remove }) => {
+  const readData = async (key) => {
+    const value = await read(key);
+    return value ? JSON.parse(value, BufferJSON.reviver) : null;
+  };
+
+  const writeData = (key, data) => write(key, JSON.stringify(data, BufferJSON.replacer));
+
+  const creds = (await readData('creds')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await readData(`${type}-${id}`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          Object.keys(data).forEach((category) => {
+            Object.keys(data[category]).forEach((id) => {
+              const value = data[category][id];
+              const key = `${category}-${id}`;
+              tasks.push(value ? writeData(key, value) : remove(key));
+            });
+          });
+          await Promise.all(tasks);
+        },
+      },
+    },
+    saveCreds: () => writeData('creds', creds),
+  };
+};
+
+module.exports = makeKeyValueAuthState;
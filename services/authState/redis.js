@@ -0,0 +1,69 @@
+const Redis = require('ioredis');
+const makeKeyValueAuthState = require('./keyValue');
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  }
+  return client;
+};
+
+/**
+ * Credenciales y claves de señal en Redis (o cualquier servidor compatible:
+ * Valkey, KeyDB, Dragonfly...)
+ */
+const basePrefix = () => process.env.AUTH_REDIS_PREFIX || 'baileys:auth:';
+
+const createRedisAuthStore = (sessionId) => {
+  const redis = getClient();
+  const prefix = `${basePrefix()}${sessionId}:`;
+
+  return {
+    async exists() {
+      return (await redis.exists(`${prefix}creds`)) === 1;
+    },
+
+    load() {
+      return makeKeyValueAuthState({
+        read: (key) => redis.get(`${prefix}${key}`),
+        write: (key, value) => redis.set(`${prefix}${key}`, value),
+        remove: (key) => redis.del(`${prefix}${key}`),
+      });
+    },
+
+    clear() {
+      return new Promise((resolve, reject) => {
+        const stream = redis.scanStream({ match: `${prefix}*`, count: 500 });
+        const pending = [];
+
+        stream.on('data', (keys) => {
+          if (keys.length) pending.push(redis.del(...keys));
+        });
+        stream.on('end', () => Promise.all(pending).then(() => resolve(), reject));
+        stream.on('error', reject);
+      });
+    },
+  };
+};
+
+/**
+ * Sesiones con credenciales guardadas
+ */
+const listRedisSessions = () => new Promise((resolve, reject) => {
+  const prefix = basePrefix();
+  const sessions = [];
+  const stream = getClient().scanStream({ match: `${prefix}*:creds`, count: 500 });
+
+  stream.on('data', (keys) => {
+    sessions.push(...keys.map((key) => key.slice(prefix.length, -':creds'.length)));
+  });
+  stream.on('end', () => resolve([...new Set(sessions)]));
+  stream.on('error', reject);
+});
+
+module.exports = {
+  createRedisAuthStore,
+  listRedisSessions,
+};
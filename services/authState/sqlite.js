@@ -0,0 +1,60 @@
+const makeKeyValueAuthState = require('./keyValue');
+const { openDatabase } = require('../../utils/database');
+
+const getDatabase = () => {
+  const db = openDatabase(process.env.AUTH_SQLITE_PATH || './data/auth.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_state (
+      session_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (session_id, key)
+    )
+  `);
+  return db;
+};
+
+/**
+ * Credenciales y claves de señal en un único archivo SQLite
+ */
+const createSqliteAuthStore = (sessionId) => {
+  const db = getDatabase();
+  const selectValue = db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?');
+  const upsertValue = db.prepare(`
+    INSERT INTO auth_state (session_id, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (session_id, key) DO UPDATE SET value = excluded.value
+  `);
+  const deleteValue = db.prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?');
+  const deleteSession = db.prepare('DELETE FROM auth_state WHERE session_id = ?');
+
+  return {
+    async exists() {
+      return Boolean(selectValue.get(sessionId, 'creds'));
+    },
+
+    load() {
+      return makeKeyValueAuthState({
+        read: async (key) => selectValue.get(sessionId, key)?.value,
+        write: async (key, value) => { upsertValue.run(sessionId, key, value); },
+        remove: async (key) => { deleteValue.run(sessionId, key); },
+      });
+    },
+
+    async clear() {
+      deleteSession.run(sessionId);
+    },
+  };
+};
+
+/**
+ * Sesiones con credenciales guardadas
+ */
+const listSqliteSessions = async () => getDatabase()
+  .prepare("SELECT session_id FROM auth_state WHERE key = 'creds'")
+  .all()
+  .map((row) => row.session_id);
+
+module.exports = {
+  createSqliteAuthStore,
+  listSqliteSessions,
+};
@@ -1,23 +1,82 @@
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const {
+  default: makeWASocket,
+  DisconnectReason,
+  toNumber,
+  proto,
+  getContentType,
+  getKeyAuthor,
+  jidNormalizedUser,
+  decryptPollVote,
+  getAggregateVotesInPollMessage,
+} = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
-const path = require('path');
 const pino = require('pino');
-const fs = require('fs').promises;
+const Jimp = require('jimp');
 const { logger, errorLogger } = require('../utils/logger');
+const { createAuthStore } = require('./authState');
+const messageStore = require('./messageStore');
+const chatStore = require('./chatStore');
+const polls = require('./polls');
+const webhookService = require('./webhook');
+const eventStream = require('./eventStream');
+const SendQueue = require('./sendQueue');
+const { MEDIA_MESSAGE_TYPES, extensionFromMimetype } = require('../utils/media');
+const { buildVCard } = require('../utils/vcard');
 const { downloadMediaMessage } = require('@whiskeysockets/baileys');
 
+const MESSAGE_STATUS = proto.WebMessageInfo.Status;
+const PROTOCOL_MESSAGE_TYPE = proto.Message.ProtocolMessage.Type;
+
+const POLL_MESSAGE_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+
+// Envíos que modifican un mensaje existente; pasan por la cola como los demás
+const MESSAGE_CHANGE_TYPES = ['reaction', 'edit', 'delete'];
+
+// Mensajes que modifican a otro mensaje y se notifican con su propio evento
+const MESSAGE_CHANGE_EVENTS = {
+  reaction: 'message.reaction',
+  edit: 'message.edited',
+  revoke: 'message.deleted',
+};
+
+// `read` muestra los tildes azules al remitente; `read-self` solo marca el mensaje
+// como leído en los dispositivos propios
+const readReceiptType = () => (process.env.SEND_READ_RECEIPTS === 'false' ? 'read-self' : 'read');
+
+// Cuándo se marcan como leídos los mensajes entrantes: `received`, `webhook` u `off`
+const autoReadMode = () => process.env.AUTO_READ_MESSAGES || 'off';
+
+// Ajustes de privacidad de la cuenta: categoría que informa WhatsApp y método de Baileys que la cambia
+const PRIVACY_SETTINGS = {
+  lastSeen: { category: 'last', update: 'updateLastSeenPrivacy' },
+  online: { category: 'online', update: 'updateOnlinePrivacy' },
+  profilePicture: { category: 'profile', update: 'updateProfilePicturePrivacy' },
+  status: { category: 'status', update: 'updateStatusPrivacy' },
+  readReceipts: { category: 'readreceipts', update: 'updateReadReceiptsPrivacy' },
+  groupsAdd: { category: 'groupadd', update: 'updateGroupsAddPrivacy' },
+  calls: { category: 'calladd', update: 'updateCallPrivacy' },
+  messages: { category: 'messages', update: 'updateMessagesPrivacy' },
+};
 
 class WhatsAppService {
-  constructor() {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
     this.sock = null;
     this.isConnected = false;
     this.qr = null;
-    this.sessionPath = path.join(__dirname, '../sessions');
+    // Vinculación con código en lugar de QR: número a vincular y código pedido para el socket actual
+    this.pairingPhoneNumber = null;
+    this.pairingCode = null;
+    this.pairingCodeRequest = null;
+    this.authStore = createAuthStore(sessionId);
     this.connectionUpdateHandler = null;
     this.reconnectAttempts = 0;
     this.MAX_RECONNECT_ATTEMPTS = 5;
-    this.receivedMessages = [];
-
+    this.monitorInterval = null;
+    this.sendQueue = new SendQueue(this);
+    // Presencia propia que mantiene el keep-alive y última presencia conocida de cada chat
+    this.presence = 'available';
+    this.presences = new Map();
   }
 
    getLatestQR() {
@@ -53,7 +112,6 @@ class WhatsAppService {
 
           if (qr) {
             cleanup();
-            this.qr = qr;
             resolve(qr);
           } else if (connection === 'open') {
             cleanup();
@@ -69,20 +127,25 @@ class WhatsAppService {
     });
   }
 
-  async initialize(isReconnecting = false) {
+  /**
+   * Conecta la sesión. Si no está vinculada se espera un QR o, con `phoneNumber`,
+   * se pide un código de vinculación para ingresar desde el teléfono.
+   * Las reconexiones mantienen el modo con el que se inició.
+   */
+  async initialize(isReconnecting = false, { phoneNumber } = {}) {
     try {
-      // Check if session directory exists
-      try {
-        await fs.access(this.sessionPath);
-      } catch (error) {
-        if (isReconnecting) {
-          logger.warn('No session found, cannot reconnect');
-          return {
-            success: false,
-            status: 'error',
-            message: 'No session found, cannot reconnect',
-          };
-        }
+      if (!isReconnecting) {
+        this.pairingPhoneNumber = phoneNumber || null;
+      }
+
+      // Check if stored credentials exist
+      if (isReconnecting && !(await this.authStore.exists())) {
+        logger.warn('No session found, cannot reconnect');
+        return {
+          success: false,
+          status: 'error',
+          message: 'No session found, cannot reconnect',
+        };
       }
 
       if (isReconnecting) {
@@ -90,14 +153,16 @@ class WhatsAppService {
         if (this.reconnectAttempts > this.MAX_RECONNECT_ATTEMPTS) {
           logger.warn(`Maximum reconnection attempts (${this.MAX_RECONNECT_ATTEMPTS}) exceeded`);
           await this.handleLogout('max_attempts_exceeded');
-          return await this.initialize(false);
+          return await this.initialize(false, { phoneNumber: this.pairingPhoneNumber });
         }
         logger.info(`Attempting to reconnect... (Attempt ${this.reconnectAttempts}/${this.MAX_RECONNECT_ATTEMPTS})`);
       } else {
         this.resetReconnectAttempts();
       }
 
-      const { state, saveCreds } = await useMultiFileAuthState(this.sessionPath);
+      const { state, saveCreds } = await this.authStore.load();
+      this.pairingCode = null;
+      this.pairingCodeRequest = null;
 
       this.sock = makeWASocket({
         auth: state,
@@ -109,7 +174,16 @@ class WhatsAppService {
       this.sock.ev.on('connection.update', async (update) => {
         const { connection, lastDisconnect,qr } = update;
 
-	if(qr) { this.qr = qr;  }     
+        // El primer QR indica que el socket está listo; en modo código se pide el código una sola vez
+        if (qr && this.pairingPhoneNumber) {
+          if (!this.pairingCodeRequest) {
+            this.pairingCodeRequest = this.requestPairingCode();
+            await this.pairingCodeRequest;
+          }
+        } else if (qr && qr !== this.qr) {
+          this.qr = qr;
+          await this.notify('connection', { status: 'waiting_qr', qr });
+        }
 
         if (connection === 'close') {
           // If already connected and trying to reconnect, cancel the operation
@@ -130,16 +204,17 @@ class WhatsAppService {
               msg: 'Session terminated',
             });
             await this.handleLogout('connection_closed');
-            await this.initialize(false);
+            await this.initialize(false, { phoneNumber: this.pairingPhoneNumber });
           }
         } else if (connection === 'open') {
           this.isConnected = true;
           this.qr = null;
+          this.pairingCode = null;
           this.resetReconnectAttempts();
           logger.info({
             msg: 'WhatsApp connection successful!',
           });
-          await WhatsAppService.notifyWebhook('connection', { status: 'connected' });
+          await this.notify('connection', { status: 'connected' });
         }
       });
 
@@ -156,21 +231,18 @@ class WhatsAppService {
               });
 
               // Extract relevant message information
-              const messageInfo = {
-                id: msg.key.id,
-                from: msg.key.remoteJid,
-                fromMe: msg.key.fromMe,
-                timestamp: msg.messageTimestamp,
-                type: Object.keys(msg.message || {})[0],
-                pushName: msg.pushName,
-                content: WhatsAppService.extractMessageContent(msg),
-                isGroup: msg.key.remoteJid?.endsWith('@g.us') || false,
-		chatId: msg.key.remoteJid,
-              };
-
-
+              const messageInfo = WhatsAppService.toMessageInfo(msg);
 
+              const changeEvent = MESSAGE_CHANGE_EVENTS[messageInfo.content?.type];
+              if (changeEvent) {
+                await this.handleMessageChange(changeEvent, messageInfo);
+                return;
+              }
 
+              if (messageInfo.content?.type === 'poll_vote') {
+                await this.handlePollVote(msg);
+                return;
+              }
 
               // Debug log for processed message
               logger.debug({
@@ -178,37 +250,23 @@ class WhatsAppService {
                 data: messageInfo,
               });
 
+              // Los mensajes multimedia guardan el mensaje completo para poder descargarlos después,
+              // y las encuestas para descifrar sus votos
+              const isMedia = MEDIA_MESSAGE_TYPES.includes(messageInfo.type);
+              const isPoll = POLL_MESSAGE_TYPES.includes(messageInfo.type);
 
-
-               /*
-              this.receivedMessages.push({
+              messageStore.save(this.sessionId, {
                 ...messageInfo,
-               raw: msg // guardás el mensaje completo
-               });
-
-              // Send to webhook
-              await WhatsAppService.notifyWebhook('message.received', messageInfo);
-               */
-
-        const messageType = Object.keys(msg.message || {})[0];
-
-        const isAudio = messageType === 'audioMessage';
-
-        const internalMessage = {
-          ...messageInfo,
-          ...(isAudio && { raw: msg })
-        };
-
-        this.receivedMessages.push(internalMessage);
-
-        // Si es audio, también se le envía raw al webhook
-        const webhookPayload = isAudio
-          ? { ...messageInfo, raw: msg }
-          : messageInfo;
+                ...((isMedia || isPoll) && { raw: msg }),
+              });
 
-        await WhatsAppService.notifyWebhook('message.received', webhookPayload);
+              // Si es multimedia, también se le envía raw al webhook
+              const webhookPayload = isMedia
+                ? { ...messageInfo, raw: msg }
+                : messageInfo;
 
-		    
+              const deliveries = await this.notify('message.received', webhookPayload);
+              await this.autoRead(messageInfo, 'received', { queuedDeliveries: deliveries.length });
 
               logger.info({
                 msg: 'New message processed',
@@ -225,7 +283,7 @@ class WhatsAppService {
               msg: 'Error processing incoming message',
               error: error.message,
             });
-            await WhatsAppService.notifyWebhook('error', {
+            await this.notify('error', {
               type: 'message_processing_error',
               error: error.message,
             });
@@ -233,12 +291,132 @@ class WhatsAppService {
         }
       });
 
+      // Acuses de los mensajes enviados: en chats individuales llegan como `messages.update`
+      // y en grupos como `message-receipt.update`, uno por participante
+      this.sock.ev.on('messages.update', async (updates) => {
+        await Promise.all(updates
+          .filter(({ key, update }) => key.fromMe && typeof update.status === 'number')
+          .map(({ key, update }) => this.recordStatus({
+            id: key.id,
+            chatId: key.remoteJid,
+            status: update.status,
+          })));
+      });
+
+      this.sock.ev.on('message-receipt.update', async (receipts) => {
+        await Promise.all(receipts
+          .filter(({ key }) => key.fromMe)
+          .map(({ key, receipt }) => this.recordStatus({
+            id: key.id,
+            chatId: key.remoteJid,
+            recipient: receipt.userJid,
+            ...WhatsAppService.toReceiptStatus(receipt),
+          })));
+      });
+
+      this.sock.ev.on('presence.update', async ({ id, presences }) => {
+        await Promise.all(Object.entries(presences).map(([participant, { lastKnownPresence, lastSeen }]) => {
+          const known = this.presences.get(id) || {};
+          const entry = {
+            chatId: id,
+            participant,
+            presence: lastKnownPresence,
+            lastSeen: lastSeen || known[participant]?.lastSeen || null,
+            updatedAt: new Date().toISOString(),
+          };
+          this.presences.set(id, { ...known, [participant]: entry });
+          return this.notify('presence.update', entry);
+        }));
+      });
+
+      this.sock.ev.on('messaging-history.set', ({ chats, contacts }) => {
+        this.updateChatStore(() => {
+          chatStore.upsertContacts(this.sessionId, contacts);
+          chatStore.upsertChats(this.sessionId, chats.map(WhatsAppService.toChatUpdate));
+        });
+      });
+
+      this.sock.ev.on('contacts.upsert', (contacts) => {
+        this.updateChatStore(() => chatStore.upsertContacts(this.sessionId, contacts));
+      });
+
+      this.sock.ev.on('contacts.update', (contacts) => {
+        this.updateChatStore(() => chatStore.upsertContacts(this.sessionId, contacts));
+      });
+
+      this.sock.ev.on('chats.upsert', (chats) => {
+        this.updateChatStore(() => chatStore.upsertChats(this.sessionId, chats.map(WhatsAppService.toChatUpdate)));
+      });
+
+      this.sock.ev.on('chats.update', (chats) => {
+        this.updateChatStore(() => chatStore.upsertChats(
+          this.sessionId,
+          chats.map(WhatsAppService.toChatUpdate),
+          { incrementUnread: true },
+        ));
+      });
+
+      this.sock.ev.on('chats.delete', (ids) => {
+        this.updateChatStore(() => chatStore.deleteChats(this.sessionId, ids));
+      });
+
+      this.sock.ev.on('group-participants.update', async ({
+        id, author, participants, action,
+      }) => {
+        await this.notify('group.participants', {
+          chatId: id,
+          groupId: id,
+          author,
+          participants,
+          action,
+        });
+      });
+
+      this.sock.ev.on('groups.update', async (updates) => {
+        this.updateChatStore(() => chatStore.upsertChats(
+          this.sessionId,
+          updates.filter((update) => update.subject).map((update) => ({ id: update.id, name: update.subject })),
+        ));
+        await Promise.all(updates.map((update) => this.notify('group.updated', {
+          chatId: update.id,
+          groupId: update.id,
+          ...update,
+        })));
+      });
+
+      this.sock.ev.on('groups.upsert', async (groups) => {
+        this.updateChatStore(() => chatStore.upsertChats(
+          this.sessionId,
+          groups.map((group) => ({ id: group.id, name: group.subject })),
+        ));
+        await Promise.all(groups.map((group) => this.notify('group.joined', {
+          chatId: group.id,
+          ...WhatsAppService.toGroupInfo(group),
+        })));
+      });
+
       // Wait for QR code or successful connection
       const qr = await this.waitForQR();
 
+      if (qr && this.pairingPhoneNumber) {
+        const pairingCode = await this.pairingCodeRequest;
+        if (pairingCode) {
+          return {
+            success: true,
+            status: 'waiting_pairing',
+            pairingCode,
+            phoneNumber: this.pairingPhoneNumber,
+          };
+        }
+        return {
+          success: false,
+          status: 'error',
+          message: 'Failed to request pairing code',
+        };
+      }
+
       // If QR code is received
       if (qr) {
-        await WhatsAppService.notifyWebhook('connection', { status: 'waiting_qr', qr });
         return {
           success: true,
           status: 'waiting_qr',
@@ -270,7 +448,7 @@ class WhatsAppService {
         msg: 'Error during WhatsApp connection initialization',
         error: error?.message || error,
       });
-      await WhatsAppService.notifyWebhook('error', { error: error.message });
+      await this.notify('error', { error: error.message });
       return {
         success: false,
         status: 'error',
@@ -280,23 +458,51 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Pide a WhatsApp el código de 8 caracteres para vincular `pairingPhoneNumber`
+   * y lo notifica. Devuelve null si no se pudo obtener.
+   */
+  async requestPairingCode() {
+    try {
+      this.pairingCode = await this.sock.requestPairingCode(this.pairingPhoneNumber);
+      logger.info({ msg: 'Pairing code requested', sessionId: this.sessionId });
+      await this.notify('connection', {
+        status: 'waiting_pairing',
+        pairingCode: this.pairingCode,
+        phoneNumber: this.pairingPhoneNumber,
+      });
+      return this.pairingCode;
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Error requesting pairing code',
+        sessionId: this.sessionId,
+        error: error.message,
+      });
+      await this.notify('error', { type: 'pairing_code_error', error: error.message });
+      return null;
+    }
+  }
+
   async handleLogout(reason = 'normal_logout') {
     try {
-      // Clean up session files
-      await fs.rm(this.sessionPath, { recursive: true, force: true });
+      // Clean up stored credentials
+      await this.authStore.clear();
+      chatStore.clear(this.sessionId);
 
       // Reset state
+      this.stopSessionMonitor();
       this.sock = null;
       this.isConnected = false;
       this.qr = null;
+      this.pairingCode = null;
 
       // Notify webhook
-      await WhatsAppService.notifyWebhook('connection', {
+      await this.notify('connection', {
         status: 'logged_out',
         reason,
       });
 
-      logger.info(`Session files cleaned and session terminated (${reason})`);
+      logger.info(`Session credentials cleaned and session terminated (${reason})`);
 
       return {
         success: true,
@@ -343,52 +549,83 @@ class WhatsAppService {
     }
   }
 
-  static async notifyWebhook(event, data) {
-    const webhookUrl = process.env.WEBHOOK_URL;
-    if (!webhookUrl) {
-      logger.warn({
-        msg: 'Webhook URL not configured, skipping notification',
-      });
-      return;
-    }
+  /**
+   * Guarda un mensaje recién enviado y registra su primer estado (normalmente `pending`)
+   */
+  async saveSentMessage(result, { withRaw = false } = {}) {
+    messageStore.save(this.sessionId, {
+      ...WhatsAppService.toMessageInfo(result),
+      ...(withRaw && { raw: result }),
+    });
+    await this.recordStatus({ id: result.key.id, chatId: result.key.remoteJid, status: result.status });
+  }
 
+  /**
+   * Registra el estado de un mensaje enviado y, si es un cambio, lo notifica como `message.status`
+   */
+  async recordStatus({
+    id, chatId, recipient, status, timestamp,
+  }) {
     try {
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'Baileys-API-Webhook',
-          'X-Event-Type': event,
-        },
-        body: JSON.stringify({
-          event,
-          timestamp: new Date().toISOString(),
-          data,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Webhook request failed with status ${response.status}: ${response.statusText}`);
+      const change = messageStore.addStatus(this.sessionId, {
+        id, chatId, recipient, status, timestamp,
+      });
+      if (change) {
+        await this.notify('message.status', change);
       }
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Error recording message status',
+        sessionId: this.sessionId,
+        messageId: id,
+        error: error.message,
+      });
+    }
+  }
 
-      logger.debug({
-        msg: 'Webhook notification sent successfully',
-        event,
-        status: response.status,
+  /**
+   * Aplica un cambio en el almacén de contactos y chats; los errores se registran
+   * sin interrumpir el procesamiento de los eventos de Baileys
+   */
+  updateChatStore(update) {
+    try {
+      update();
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Error updating contacts and chats',
+        sessionId: this.sessionId,
+        error: error.message,
       });
+    }
+  }
+
+  /**
+   * Notifica un evento de esta sesión a los webhooks y al stream de eventos.
+   * Devuelve los ids de las entregas de webhook encoladas.
+   */
+  notify(event, data) {
+    return WhatsAppService.notifyWebhook(event, data, this.sessionId);
+  }
+
+  static async notifyWebhook(event, data, sessionId = null) {
+    try {
+      eventStream.publish(event, data, sessionId);
+      return webhookService.enqueue(event, data, sessionId);
     } catch (error) {
       errorLogger.error({
-        msg: 'Error during webhook notification',
+        msg: 'Error queueing webhook notification',
         event,
         error: error.message,
         data: JSON.stringify(data),
       });
+      return [];
     }
   }
 
 
 startSessionMonitor(interval = 60000) {
-  setInterval(async () => {
+  this.stopSessionMonitor();
+  this.monitorInterval = setInterval(async () => {
     if (!this.sock) return;
 
     const state = this.sock?.ws?.readyState;
@@ -398,7 +635,7 @@ startSessionMonitor(interval = 60000) {
     } else {
       logger.debug('Sending presence update to keep session alive...');
       try {
-        await this.sock.sendPresenceUpdate('available');
+        await this.sock.sendPresenceUpdate(this.presence);
       } catch (err) {
         logger.warn('Failed to send presence update', err.message);
       }
@@ -406,21 +643,31 @@ startSessionMonitor(interval = 60000) {
   }, interval);
 }
 
+stopSessionMonitor() {
+  if (this.monitorInterval) {
+    clearInterval(this.monitorInterval);
+    this.monitorInterval = null;
+  }
+}
+
 
   getConnectionStatus() {
     return {
+      sessionId: this.sessionId,
       isConnected: this.isConnected,
       qr: this.qr,
+      pairingCode: this.pairingCode,
     };
   }
 
-  async sendMessage(to, message) {
+  async sendMessage(to, message, options = {}) {
     if (!this.isConnected) {
       throw new Error('WhatsApp connection is not active');
     }
 
     try {
-      const result = await this.sock.sendMessage(to, { text: message });
+      const result = await this.sock.sendMessage(to, { text: message }, options);
+      await this.saveSentMessage(result);
       logger.info({
         msg: 'Message sent',
         to,
@@ -437,12 +684,12 @@ startSessionMonitor(interval = 60000) {
   }
 
 
-getReceivedMessages() {
-  return this.receivedMessages;
+getReceivedMessages(query = {}) {
+  return messageStore.list(this.sessionId, query);
 }
 
-clearReceivedMessages() {
-  this.receivedMessages = [];
+clearReceivedMessages(filters = {}) {
+  return messageStore.remove(this.sessionId, filters);
 }
 
 getLatestQR() {
@@ -451,33 +698,434 @@ getLatestQR() {
 
 
 async getAudioStreamById(id) {
-  const messageMeta = this.receivedMessages.find(msg => msg.id === id && msg.type === 'audioMessage');
-  if (!messageMeta) {
+  const messageMeta = messageStore.get(this.sessionId, id);
+  if (!messageMeta || messageMeta.type !== 'audioMessage') {
     throw new Error('Mensaje de audio no encontrado');
   }
 
+  return this.getMediaStreamById(id);
+}
 
-  const stream = await downloadMediaMessage( messageMeta.raw , 'stream', {});
-  const mimetype = messageMeta.raw.message.audioMessage.mimetype;
 
-  return { stream, mimetype };
+/**
+ * Descarga el contenido de cualquier mensaje multimedia almacenado
+ * (imagen, video, audio, documento o sticker)
+ */
+async getMediaStreamById(id) {
+  const messageMeta = messageStore.get(this.sessionId, id, { withRaw: true });
+  if (!messageMeta || !MEDIA_MESSAGE_TYPES.includes(messageMeta.type) || !messageMeta.raw) {
+    throw new Error('Mensaje multimedia no encontrado');
+  }
+
+  const media = messageMeta.raw.message[messageMeta.type];
+  const stream = await downloadMediaMessage(messageMeta.raw, 'stream', {});
+  const mimetype = media.mimetype || 'application/octet-stream';
+  const fileName = media.fileName || `${id}.${extensionFromMimetype(mimetype)}`;
+
+  return {
+    stream,
+    mimetype,
+    fileName,
+    type: messageMeta.content?.type,
+  };
 }
 
 
-async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
+async enviarAudio(to, buffer, mimetype = 'audio/ogg', options = {}) {
   if (!this.sock) {
     throw new Error('Socket no inicializado');
   }
 
-  await this.sock.sendMessage(to, {
+  const result = await this.sock.sendMessage(to, {
     audio: buffer,
     mimetype,
     ptt: true // tipo "nota de voz"
-  });
+  }, options);
+  await this.saveSentMessage(result);
+  return result;
+}
+
+
+
+/**
+ * Envía una imagen, video, documento o sticker
+ */
+async sendMedia(to, {
+  type, buffer, mimetype, caption, fileName, gifPlayback,
+}, options = {}) {
+  if (!this.isConnected) {
+    throw new Error('WhatsApp connection is not active');
+  }
+
+  const contents = {
+    image: { image: buffer, mimetype, caption },
+    video: {
+      video: buffer, mimetype, caption, gifPlayback,
+    },
+    document: {
+      document: buffer, mimetype, fileName, caption,
+    },
+    sticker: { sticker: buffer, mimetype },
+  };
+
+  if (!contents[type]) {
+    throw new Error(`Unsupported media type: ${type}`);
+  }
+
+  try {
+    const result = await this.sock.sendMessage(to, contents[type], options);
+    await this.saveSentMessage(result, { withRaw: true });
+    logger.info({
+      msg: 'Media sent',
+      to,
+      type,
+      messageId: result.key.id,
+    });
+    return result;
+  } catch (error) {
+    errorLogger.error({
+      msg: 'Failed to send media',
+      type,
+      error: error.message,
+    });
+    throw error;
+  }
 }
 
 
 
+  /**
+   * Envía una ubicación, tarjetas de contacto o una encuesta
+   */
+  async sendContent(to, content, options = {}, { withRaw = false } = {}) {
+    this.assertConnected();
+
+    try {
+      const result = await this.sock.sendMessage(to, content, options);
+      await this.saveSentMessage(result, { withRaw });
+      logger.info({
+        msg: 'Message sent',
+        to,
+        type: getContentType(result.message),
+        messageId: result.key.id,
+      });
+      return result;
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Failed to send message',
+        to,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  async sendLocation(to, {
+    latitude, longitude, name, address,
+  }, options = {}) {
+    return this.sendContent(to, {
+      location: {
+        degreesLatitude: latitude,
+        degreesLongitude: longitude,
+        name,
+        address,
+      },
+    }, options);
+  }
+
+  /**
+   * Envía uno o más contactos como vCard (`fullName`, `organization`, `phones`, `emails`)
+   */
+  async sendContacts(to, contacts, options = {}) {
+    return this.sendContent(to, {
+      contacts: {
+        displayName: contacts.length === 1 ? contacts[0].fullName : `${contacts.length} contacts`,
+        contacts: contacts.map((contact) => ({
+          displayName: contact.fullName,
+          vcard: buildVCard(contact),
+        })),
+      },
+    }, options);
+  }
+
+  /**
+   * Envía una encuesta. `selectableCount` limita las opciones que puede elegir cada
+   * participante (0 = sin límite). Se guarda completa para poder descifrar los votos.
+   */
+  async sendPoll(to, { name, options: values, selectableCount = 0 }, options = {}) {
+    return this.sendContent(to, { poll: { name, values, selectableCount } }, options, { withRaw: true });
+  }
+
+  /**
+   * Envía un mensaje según su tipo:
+   * `{ type: 'text', text }`, `{ type: 'audio', buffer, mimetype }`, `location`, `contact`,
+   * `poll` o los tipos de `sendMedia`. Con `quotedId` se envía como respuesta a ese mensaje.
+   */
+  async sendPayload(to, payload) {
+    const { type, quotedId } = payload;
+    const options = quotedId ? { quoted: this.getQuotedMessage(quotedId) } : {};
+
+    if (type === 'text') return this.sendMessage(to, payload.text, options);
+    if (type === 'audio') return this.enviarAudio(to, payload.buffer, payload.mimetype, options);
+    if (type === 'location') return this.sendLocation(to, payload, options);
+    if (type === 'contact') return this.sendContacts(to, payload.contacts, options);
+    if (type === 'poll') return this.sendPoll(to, payload, options);
+    if (MESSAGE_CHANGE_TYPES.includes(type)) return this.sendMessageChange(to, payload);
+    return this.sendMedia(to, payload, options);
+  }
+
+  /**
+   * Clave de WhatsApp de un mensaje guardado, necesaria para reaccionar, editarlo o borrarlo
+   */
+  getMessageKey(id) {
+    const message = messageStore.get(this.sessionId, id);
+    if (!message) {
+      throw Object.assign(new Error('Message not found'), { status: 404 });
+    }
+
+    return WhatsAppService.toMessageKey(message);
+  }
+
+  static toMessageKey(message) {
+    return {
+      remoteJid: message.chatId,
+      id: message.id,
+      fromMe: message.fromMe,
+      ...(message.isGroup && !message.fromMe && { participant: message.sender }),
+    };
+  }
+
+  /**
+   * Mensaje a citar en una respuesta. Los multimedia se citan completos; del resto
+   * alcanza con el texto guardado.
+   */
+  getQuotedMessage(id) {
+    const key = this.getMessageKey(id);
+    const { content, raw } = messageStore.get(this.sessionId, id, { withRaw: true });
+    if (raw) return raw;
+
+    return {
+      key,
+      message: { conversation: content?.text || content?.caption || '' },
+    };
+  }
+
+  /**
+   * Encola una reacción a un mensaje; un emoji vacío quita la reacción
+   */
+  reactToMessage(id, emoji) {
+    const key = this.getMessageKey(id);
+    return this.queueSend(key.remoteJid, { type: 'reaction', key, emoji }, { presence: false });
+  }
+
+  /**
+   * Encola la edición del texto (o el caption) de un mensaje enviado por este número
+   */
+  editMessage(id, text) {
+    const key = this.getMessageKey(id);
+    if (!key.fromMe) {
+      throw Object.assign(new Error('Only messages sent by this number can be edited'), { status: 409 });
+    }
+
+    return this.queueSend(key.remoteJid, { type: 'edit', key, text }, { presence: false });
+  }
+
+  /**
+   * Encola el borrado de un mensaje para todos. Los de otros participantes solo pueden
+   * borrarse en grupos donde el número es administrador.
+   */
+  deleteMessage(id) {
+    const key = this.getMessageKey(id);
+    return this.queueSend(key.remoteJid, { type: 'delete', key }, { presence: false });
+  }
+
+  /**
+   * Envía una reacción, edición o borrado de la cola y actualiza el mensaje guardado
+   */
+  async sendMessageChange(to, {
+    type, key, emoji, text,
+  }) {
+    if (type === 'reaction') {
+      return this.sock.sendMessage(to, { react: { text: emoji, key } });
+    }
+
+    if (type === 'edit') {
+      const result = await this.sock.sendMessage(to, { text, edit: key });
+      messageStore.updateContent(this.sessionId, key.id, (content) => WhatsAppService.withEditedText(content, text));
+      logger.info({ msg: 'Message edited', sessionId: this.sessionId, messageId: key.id });
+      return result;
+    }
+
+    const result = await this.sock.sendMessage(to, { delete: key });
+    messageStore.updateContent(this.sessionId, key.id, (content) => ({ ...content, deleted: true }));
+    logger.info({ msg: 'Message deleted for everyone', sessionId: this.sessionId, messageId: key.id });
+    return result;
+  }
+
+  /**
+   * Envía la confirmación de lectura de mensajes recibidos. Con `SEND_READ_RECEIPTS=false`
+   * quedan leídos en el teléfono sin mostrar los tildes azules al remitente.
+   */
+  async sendReadReceipts(keys) {
+    this.assertConnected();
+    if (readReceiptType() === 'read') {
+      // Baileys usa `read-self` si la cuenta tiene desactivadas las confirmaciones de lectura
+      await this.sock.readMessages(keys);
+    } else {
+      await this.sock.sendReceipts(keys, 'read-self');
+    }
+  }
+
+  /**
+   * Marca como leídos mensajes recibidos guardados. Los enviados por el número se ignoran.
+   */
+  async markMessagesRead(ids) {
+    this.assertConnected();
+    const messages = ids.map((id) => messageStore.get(this.sessionId, id));
+    const received = messages.filter((message) => message && !message.fromMe);
+
+    if (received.length) {
+      await this.sendReadReceipts(received.map(WhatsAppService.toMessageKey));
+    }
+
+    return {
+      read: received.map((message) => message.id),
+      notFound: ids.filter((id, index) => !messages[index]),
+    };
+  }
+
+  /**
+   * Marca un chat como leído: confirma la lectura de sus mensajes no leídos guardados
+   * y lo marca como leído en el teléfono y los demás dispositivos vinculados
+   */
+  async markChatRead(jid) {
+    this.assertConnected();
+    const unreadCount = chatStore.getChat(this.sessionId, jid)?.unreadCount || 0;
+    const { messages } = messageStore.list(this.sessionId, {
+      chatId: jid,
+      direction: 'in',
+      limit: Math.min(Math.max(unreadCount, 1), 500),
+    });
+
+    if (!messages.length) {
+      throw Object.assign(new Error('No received messages stored for this chat'), { status: 404 });
+    }
+
+    await this.sendReadReceipts(messages.map(WhatsAppService.toMessageKey));
+
+    const [last] = messages;
+    await this.sock.chatModify({
+      markRead: true,
+      lastMessages: [{ key: WhatsAppService.toMessageKey(last), messageTimestamp: last.timestamp }],
+    }, jid);
+    chatStore.upsertChats(this.sessionId, [{ id: jid, unreadCount: 0 }]);
+
+    logger.info({ msg: 'Chat marked as read', sessionId: this.sessionId, chatId: jid });
+    return { chatId: jid, read: messages.map((message) => message.id) };
+  }
+
+  /**
+   * Marca como leído un mensaje entrante si `AUTO_READ_MESSAGES` coincide con la etapa:
+   * `received` al procesarlo y `webhook` cuando el primer webhook acepta la entrega
+   */
+  async autoRead(messageInfo, stage, { queuedDeliveries = 0 } = {}) {
+    const mode = autoReadMode();
+    // Sin webhooks que reciban el mensaje, el modo `webhook` lo marca al procesarlo
+    const applies = mode === stage || (mode === 'webhook' && stage === 'received' && !queuedDeliveries);
+    if (!applies || messageInfo.fromMe || messageInfo.chatId === 'status@broadcast') return;
+
+    try {
+      await this.sendReadReceipts([WhatsAppService.toMessageKey(messageInfo)]);
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Error marking message as read',
+        sessionId: this.sessionId,
+        messageId: messageInfo.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Aplica una reacción, edición o borrado recibido sobre el mensaje guardado y lo notifica
+   */
+  async handleMessageChange(event, messageInfo) {
+    const { type, messageId, text } = messageInfo.content;
+
+    if (type === 'edit') {
+      messageStore.updateContent(this.sessionId, messageId, (content) => WhatsAppService.withEditedText(content, text));
+    } else if (type === 'revoke') {
+      messageStore.updateContent(this.sessionId, messageId, (content) => ({ ...content, deleted: true }));
+    }
+
+    await this.notify(event, messageInfo);
+    logger.info({
+      msg: 'Message change processed',
+      event,
+      messageId,
+      chatId: messageInfo.chatId,
+    });
+  }
+
+  /**
+   * Descifra un voto con la clave de la encuesta guardada, actualiza el conteo
+   * y lo notifica como `poll.vote`. Los votos de encuestas que no están guardadas
+   * no pueden descifrarse y se descartan.
+   */
+  async handlePollVote(msg) {
+    const { pollCreationMessageKey: pollKey, vote, senderTimestampMs } = msg.message.pollUpdateMessage;
+    const poll = messageStore.get(this.sessionId, pollKey.id, { withRaw: true });
+    const pollEncKey = poll?.raw?.message?.messageContextInfo?.messageSecret;
+
+    if (!pollEncKey) {
+      logger.warn({ msg: 'Poll vote for unknown poll discarded', sessionId: this.sessionId, pollId: pollKey.id });
+      return;
+    }
+
+    const meId = jidNormalizedUser(this.sock.user.id);
+    const voter = getKeyAuthor(msg.key, meId);
+    const selectedOptions = decryptPollVote(vote, {
+      pollEncKey,
+      pollCreatorJid: getKeyAuthor(pollKey, meId),
+      pollMsgId: pollKey.id,
+      voterJid: voter,
+    });
+
+    const options = getAggregateVotesInPollMessage({
+      message: poll.raw.message,
+      pollUpdates: [{ pollUpdateMessageKey: msg.key, vote: selectedOptions }],
+    }, meId)
+      .filter((option) => option.voters.length)
+      .map((option) => option.name);
+
+    const timestamp = toNumber(senderTimestampMs) || toNumber(msg.messageTimestamp) * 1000;
+    if (!polls.recordVote(this.sessionId, {
+      pollId: pollKey.id, voter, options, timestamp,
+    })) return;
+
+    await this.notify('poll.vote', {
+      pollId: pollKey.id,
+      chatId: msg.key.remoteJid,
+      voter,
+      options,
+      timestamp: Math.floor(timestamp / 1000),
+      results: polls.results(this.sessionId, pollKey.id),
+    });
+  }
+
+  static withEditedText(content, text) {
+    const field = content?.type === 'text' ? 'text' : 'caption';
+    return { ...content, [field]: text, edited: true };
+  }
+
+  /**
+   * Encola un envío en la cola con límite de velocidad de la sesión
+   */
+  queueSend(to, payload, options = {}) {
+    return this.sendQueue.enqueue(to, payload, options);
+  }
+
+
   /**
    * Inactiva la sesión sin cerrar credenciales (simula desconexión “dormida”)
    */
@@ -485,7 +1133,7 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
     if (!this.sock) throw new Error('Socket no inicializado');
     await this.sock.end('normal'); // cierra la conexión websocket sin eliminar credenciales
     this.isConnected = false;
-    await WhatsAppService.notifyWebhook('connection', { status: 'sleep' });
+    await this.notify('connection', { status: 'sleep' });
     return { success: true, status: 'sleep' };
   }
 
@@ -503,7 +1151,9 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
    * Devuelve estado actual de la sesión
    */
   sessionStatus() {
-    return { isConnected: this.isConnected, qr: this.qr };
+    return {
+      sessionId: this.sessionId, isConnected: this.isConnected, qr: this.qr, pairingCode: this.pairingCode,
+    };
   }
 
 
@@ -552,12 +1202,364 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
     }
   }
 
+  /**
+   * Cambia la presencia propia. `composing`, `recording` y `paused` se envían al chat
+   * indicado; `available` y `unavailable` son globales y el keep-alive las conserva.
+   */
+  async updatePresence(presence, to) {
+    this.assertConnected();
+    await this.sock.sendPresenceUpdate(presence, to);
+    if (presence === 'available' || presence === 'unavailable') {
+      this.presence = presence;
+    }
+  }
+
+  /**
+   * Pide a WhatsApp que informe la presencia del contacto o grupo (`presence.update`)
+   */
+  async subscribePresence(jid) {
+    this.assertConnected();
+    await this.sock.presenceSubscribe(jid);
+  }
+
+  /**
+   * Última presencia conocida de un chat; en grupos, la de cada participante
+   */
+  getPresence(jid) {
+    const known = this.presences.get(jid);
+    return known ? { chatId: jid, participants: Object.values(known) } : null;
+  }
+
+  assertConnected() {
+    if (!this.isConnected) {
+      throw new Error('WhatsApp connection is not active');
+    }
+  }
+
+  static toGroupInfo(metadata) {
+    return {
+      id: metadata.id,
+      subject: metadata.subject,
+      description: metadata.desc || null,
+      owner: metadata.owner || null,
+      creation: metadata.creation || null,
+      size: metadata.size || metadata.participants?.length || 0,
+      announce: Boolean(metadata.announce),
+      restrict: Boolean(metadata.restrict),
+      memberAddMode: Boolean(metadata.memberAddMode),
+      joinApprovalMode: Boolean(metadata.joinApprovalMode),
+      ephemeralDuration: metadata.ephemeralDuration || 0,
+      isCommunity: Boolean(metadata.isCommunity),
+      ...(metadata.participants && {
+        participants: metadata.participants.map((participant) => ({
+          id: participant.id,
+          admin: participant.admin || null,
+        })),
+      }),
+    };
+  }
+
+  /**
+   * Grupos de los que participa el número
+   */
+  async listGroups() {
+    this.assertConnected();
+    const groups = await this.sock.groupFetchAllParticipating();
+    return Object.values(groups).map((group) => {
+      const { participants, ...info } = WhatsAppService.toGroupInfo(group);
+      return info;
+    });
+  }
+
+  async getGroup(jid) {
+    this.assertConnected();
+    return WhatsAppService.toGroupInfo(await this.sock.groupMetadata(jid));
+  }
+
+  async createGroup(subject, participants) {
+    this.assertConnected();
+    const group = await this.sock.groupCreate(subject, participants);
+    logger.info({ msg: 'Group created', sessionId: this.sessionId, groupId: group.id });
+    return WhatsAppService.toGroupInfo(group);
+  }
+
+  /**
+   * Agrega, quita, promueve o degrada participantes. Devuelve el resultado de cada uno
+   * (`status` 200 si se aplicó; WhatsApp informa 403, 408, 409... en caso contrario).
+   */
+  async updateGroupParticipants(jid, participants, action) {
+    this.assertConnected();
+    const results = await this.sock.groupParticipantsUpdate(jid, participants, action);
+    return results.map((result) => ({ id: result.jid, status: Number(result.status) }));
+  }
+
+  /**
+   * Cambia asunto, descripción y configuración del grupo. Solo se aplican los campos presentes.
+   */
+  async updateGroup(jid, {
+    subject, description, announce, locked, memberAddMode, joinApprovalMode, ephemeralDuration,
+  }) {
+    this.assertConnected();
+
+    if (subject !== undefined) await this.sock.groupUpdateSubject(jid, subject);
+    if (description !== undefined) await this.sock.groupUpdateDescription(jid, description || undefined);
+    if (announce !== undefined) await this.sock.groupSettingUpdate(jid, announce ? 'announcement' : 'not_announcement');
+    if (locked !== undefined) await this.sock.groupSettingUpdate(jid, locked ? 'locked' : 'unlocked');
+    if (memberAddMode !== undefined) await this.sock.groupMemberAddMode(jid, memberAddMode === 'all' ? 'all_member_add' : 'admin_add');
+    if (joinApprovalMode !== undefined) await this.sock.groupJoinApprovalMode(jid, joinApprovalMode ? 'on' : 'off');
+    if (ephemeralDuration !== undefined) await this.sock.groupToggleEphemeral(jid, ephemeralDuration);
+
+    return this.getGroup(jid);
+  }
+
+  static toInvite(code) {
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async getGroupInvite(jid) {
+    this.assertConnected();
+    return WhatsAppService.toInvite(await this.sock.groupInviteCode(jid));
+  }
+
+  async revokeGroupInvite(jid) {
+    this.assertConnected();
+    return WhatsAppService.toInvite(await this.sock.groupRevokeInvite(jid));
+  }
+
+  async getGroupInviteInfo(code) {
+    this.assertConnected();
+    return WhatsAppService.toGroupInfo(await this.sock.groupGetInviteInfo(code));
+  }
+
+  async joinGroup(code) {
+    this.assertConnected();
+    const id = await this.sock.groupAcceptInvite(code);
+    logger.info({ msg: 'Joined group', sessionId: this.sessionId, groupId: id });
+    return { id };
+  }
+
+  async leaveGroup(jid) {
+    this.assertConnected();
+    await this.sock.groupLeave(jid);
+    logger.info({ msg: 'Left group', sessionId: this.sessionId, groupId: jid });
+  }
+
+  /**
+   * URL de la foto de perfil de un contacto, grupo o del propio número (`preview` o `image`).
+   * Devuelve null si no tiene foto o su privacidad no permite verla.
+   */
+  async getProfilePictureUrl(jid, type = 'image') {
+    this.assertConnected();
+    try {
+      return await this.sock.profilePictureUrl(jid, type) || null;
+    } catch (error) {
+      if ([401, 404].includes(error?.output?.statusCode)) return null;
+      throw error;
+    }
+  }
+
+  async downloadProfilePicture(jid, type = 'image') {
+    const url = await this.getProfilePictureUrl(jid, type);
+    if (!url) return null;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Profile picture download failed with status ${response.status}`);
+    }
+
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      mimetype: response.headers.get('content-type') || 'image/jpeg',
+    };
+  }
+
+  /**
+   * Texto "info" (about) y fecha en que se cambió; null si está oculto
+   */
+  async getAbout(jid) {
+    this.assertConnected();
+    const [result] = await this.sock.fetchStatus(jid) || [];
+    const about = result?.status;
+    return {
+      about: about?.status || null,
+      setAt: about?.status && about.setAt?.getTime() ? about.setAt.toISOString() : null,
+    };
+  }
+
+  /**
+   * Perfil de un contacto: foto, info y, si es una cuenta de empresa, su perfil comercial
+   */
+  async getContactProfile(jid) {
+    this.assertConnected();
+    const [pictureUrl, { about, setAt }, business] = await Promise.all([
+      this.getProfilePictureUrl(jid),
+      this.getAbout(jid),
+      this.sock.getBusinessProfile(jid),
+    ]);
+
+    return {
+      id: jid,
+      pictureUrl,
+      about,
+      aboutSetAt: setAt,
+      isBusiness: Boolean(business),
+      business: business ? WhatsAppService.toBusinessProfile(business) : null,
+    };
+  }
+
+  static toBusinessProfile(profile) {
+    return {
+      description: profile.description || null,
+      category: profile.category || null,
+      address: profile.address || null,
+      email: profile.email || null,
+      websites: profile.website || [],
+      businessHours: profile.business_hours?.business_config ? {
+        timezone: profile.business_hours.timezone || null,
+        days: profile.business_hours.business_config,
+      } : null,
+    };
+  }
+
+  /**
+   * Perfil del propio número
+   */
+  async getProfile() {
+    this.assertConnected();
+    const id = jidNormalizedUser(this.sock.user.id);
+    const [pictureUrl, { about, setAt }] = await Promise.all([
+      this.getProfilePictureUrl(id),
+      this.getAbout(id),
+    ]);
+
+    return {
+      id,
+      name: this.sock.user.name || null,
+      pictureUrl,
+      about,
+      aboutSetAt: setAt,
+    };
+  }
+
+  /**
+   * Cambia el nombre visible y el texto de info propios. Solo se aplican los campos presentes.
+   */
+  async updateProfile({ name, about }) {
+    this.assertConnected();
+    if (name !== undefined) await this.sock.updateProfileName(name);
+    if (about !== undefined) await this.sock.updateProfileStatus(about);
+    logger.info({ msg: 'Profile updated', sessionId: this.sessionId });
+
+    // El nombre propio se actualiza cuando vuelve la sincronización, que llega después
+    const profile = await this.getProfile();
+    return name !== undefined ? { ...profile, name } : profile;
+  }
+
+  /**
+   * Reemplaza la foto de perfil propia, recortada al centro como JPEG de 640x640.
+   * Devuelve la URL de la foto nueva.
+   */
+  async updateProfilePicture(buffer) {
+    this.assertConnected();
+    const id = jidNormalizedUser(this.sock.user.id);
+
+    // Baileys recorta desde la esquina superior izquierda, por eso se recorta antes
+    const image = await Jimp.read(buffer);
+    const picture = await image.cover(640, 640).quality(90).getBufferAsync(Jimp.MIME_JPEG);
+    await this.sock.updateProfilePicture(id, picture);
+    logger.info({ msg: 'Profile picture updated', sessionId: this.sessionId });
+    return this.getProfilePictureUrl(id);
+  }
+
+  async removeProfilePicture() {
+    this.assertConnected();
+    await this.sock.removeProfilePicture(jidNormalizedUser(this.sock.user.id));
+    logger.info({ msg: 'Profile picture removed', sessionId: this.sessionId });
+  }
+
+  /**
+   * Ajustes de privacidad de la cuenta, con los nombres de `PRIVACY_SETTINGS`
+   */
+  async getPrivacySettings(force = false) {
+    this.assertConnected();
+    const settings = await this.sock.fetchPrivacySettings(force);
+    return Object.fromEntries(Object.entries(PRIVACY_SETTINGS)
+      .map(([key, { category }]) => [key, settings[category] || null]));
+  }
+
+  async updatePrivacySettings(settings) {
+    this.assertConnected();
+    await Promise.all(Object.entries(settings)
+      .map(([key, value]) => this.sock[PRIVACY_SETTINGS[key].update](value)));
+    logger.info({ msg: 'Privacy settings updated', sessionId: this.sessionId, settings });
+    return this.getPrivacySettings(true);
+  }
+
+  /**
+   * Estado y momento del acuse de un participante de grupo
+   */
+  static toReceiptStatus(receipt) {
+    if (receipt.playedTimestamp) {
+      return { status: MESSAGE_STATUS.PLAYED, timestamp: toNumber(receipt.playedTimestamp) };
+    }
+    if (receipt.readTimestamp) {
+      return { status: MESSAGE_STATUS.READ, timestamp: toNumber(receipt.readTimestamp) };
+    }
+    return { status: MESSAGE_STATUS.DELIVERY_ACK, timestamp: toNumber(receipt.receiptTimestamp) || undefined };
+  }
+
+  /**
+   * Convierte un chat o cambio de chat de Baileys al formato de `chatStore`.
+   * Los campos ausentes quedan `undefined` para no pisar los valores guardados.
+   */
+  static toChatUpdate(chat) {
+    const lastMessage = chat.messages
+      ?.map(({ message }) => message)
+      .find((message) => message?.key && message.message);
+
+    return {
+      id: chat.id,
+      name: chat.name || undefined,
+      unreadCount: chat.unreadCount ?? undefined,
+      archived: chat.archived ?? undefined,
+      pinned: chat.pinned === undefined ? undefined : toNumber(chat.pinned) || null,
+      muteEndTime: chat.muteEndTime === undefined ? undefined : toNumber(chat.muteEndTime) || null,
+      conversationTimestamp: chat.conversationTimestamp ? toNumber(chat.conversationTimestamp) : undefined,
+      lastMessage: lastMessage && WhatsAppService.toLastMessage(lastMessage),
+    };
+  }
+
+  static toLastMessage(msg) {
+    const {
+      id, fromMe, sender, timestamp, type, content,
+    } = WhatsAppService.toMessageInfo(msg);
+    return {
+      id, fromMe, sender, timestamp, type: content?.type || type, content,
+    };
+  }
+
+  static toMessageInfo(msg) {
+    return {
+      id: msg.key.id,
+      from: msg.key.remoteJid,
+      sender: msg.key.participant || msg.key.remoteJid,
+      fromMe: msg.key.fromMe,
+      direction: msg.key.fromMe ? 'out' : 'in',
+      timestamp: toNumber(msg.messageTimestamp),
+      type: getContentType(msg.message || {}),
+      pushName: msg.pushName,
+      content: WhatsAppService.extractMessageContent(msg),
+      isGroup: msg.key.remoteJid?.endsWith('@g.us') || false,
+      chatId: msg.key.remoteJid,
+    };
+  }
+
   // Change to static method
   static extractMessageContent(msg) {
     if (!msg.message) return null;
 
-    // Get the first message type (text, image, video, etc.)
-    const messageType = Object.keys(msg.message)[0];
+    // Get the message type (text, image, video, etc.)
+    const messageType = getContentType(msg.message);
     const messageContent = msg.message[messageType];
 
     switch (messageType) {
@@ -611,6 +1613,7 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
           degreesLatitude: messageContent.degreesLatitude,
           degreesLongitude: messageContent.degreesLongitude,
           name: messageContent.name,
+          address: messageContent.address,
         };
 
       case 'contactMessage':
@@ -620,6 +1623,48 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
           vcard: messageContent.vcard,
         };
 
+      case 'contactsArrayMessage':
+        return {
+          type: 'contacts',
+          displayName: messageContent.displayName,
+          contacts: (messageContent.contacts || []).map((contact) => ({
+            displayName: contact.displayName,
+            vcard: contact.vcard,
+          })),
+        };
+
+      case 'pollCreationMessage':
+      case 'pollCreationMessageV2':
+      case 'pollCreationMessageV3':
+        return {
+          type: 'poll',
+          name: messageContent.name,
+          options: (messageContent.options || []).map((option) => option.optionName),
+          selectableCount: messageContent.selectableOptionsCount || 0,
+        };
+
+      case 'pollUpdateMessage':
+        return {
+          type: 'poll_vote',
+          pollId: messageContent.pollCreationMessageKey?.id,
+        };
+
+      case 'reactionMessage':
+        return {
+          type: 'reaction',
+          messageId: messageContent.key?.id,
+          emoji: messageContent.text || null,
+          removed: !messageContent.text,
+        };
+
+      case 'protocolMessage':
+        return WhatsAppService.extractProtocolContent(messageContent)
+          || { type: messageType, content: 'Message type not specifically handled' };
+
+      case 'editedMessage':
+        return WhatsAppService.extractProtocolContent(messageContent.message?.protocolMessage)
+          || { type: messageType, content: 'Message type not specifically handled' };
+
       default:
         return {
           type: messageType,
@@ -627,6 +1672,30 @@ async enviarAudio(to, buffer, mimetype = 'audio/ogg') {
         };
     }
   }
+
+  /**
+   * Ediciones y borrados para todos llegan como mensajes de protocolo que apuntan al mensaje original
+   */
+  static extractProtocolContent(protocolMessage) {
+    if (protocolMessage?.type === PROTOCOL_MESSAGE_TYPE.REVOKE) {
+      return { type: 'revoke', messageId: protocolMessage.key?.id };
+    }
+
+    if (protocolMessage?.type === PROTOCOL_MESSAGE_TYPE.MESSAGE_EDIT) {
+      const edited = protocolMessage.editedMessage || {};
+      return {
+        type: 'edit',
+        messageId: protocolMessage.key?.id,
+        text: edited.conversation
+          || edited.extendedTextMessage?.text
+          || edited.imageMessage?.caption
+          || edited.videoMessage?.caption
+          || null,
+      };
+    }
+
+    return null;
+  }
 }
 
- module.exports = new WhatsAppService();
+module.exports = WhatsAppService;
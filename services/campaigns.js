@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const { getDatabase, paginate, retryInterruptedSends } = require('../utils/database');
+const { logger, errorLogger } = require('../utils/logger');
+const { toSendPayload, toPublicMessage } = require('../utils/media');
+const {
+  templateVariables, missingVariables, messageTemplateText, renderMessage,
+} = require('../utils/template');
+const SessionManager = require('./sessionManager');
+const WhatsAppService = require('./baileys');
+
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'invalid', 'cancelled'];
+
+/**
+ * Campañas de difusión: un mismo mensaje, con variables por destinatario, enviado
+ * a una lista de números por la cola de la sesión. Cada número se verifica antes.
+ */
+class Campaigns {
+  constructor() {
+    this.db = null;
+    this.workers = new Set();
+    this.activeJobs = new Map();
+    this.pollInterval = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS campaigns (
+          id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'running',
+          created_at INTEGER NOT NULL,
+          started_at INTEGER,
+          completed_at INTEGER,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_campaigns_session ON campaigns (session_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS campaign_recipients (
+          campaign_id TEXT NOT NULL,
+          idx INTEGER NOT NULL,
+          recipient TEXT NOT NULL,
+          jid TEXT,
+          variables TEXT NOT NULL DEFAULT '{}',
+          status TEXT NOT NULL DEFAULT 'pending',
+          message_id TEXT,
+          error TEXT,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (campaign_id, idx)
+        );
+        CREATE INDEX IF NOT EXISTS idx_campaign_recipients_status ON campaign_recipients (campaign_id, status, idx);
+      `);
+    }
+    return this.db;
+  }
+
+  static fromRow(row) {
+    const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      name: row.name,
+      message: toPublicMessage(JSON.parse(row.payload)),
+      status: row.status,
+      createdAt: toIso(row.created_at),
+      startedAt: toIso(row.started_at),
+      completedAt: toIso(row.completed_at),
+      updatedAt: toIso(row.updated_at),
+    };
+  }
+
+  static recipientFromRow(row) {
+    return {
+      index: row.idx,
+      to: row.recipient,
+      jid: row.jid,
+      variables: JSON.parse(row.variables),
+      status: row.status,
+      messageId: row.message_id,
+      error: row.error,
+      updatedAt: new Date(row.updated_at).toISOString(),
+    };
+  }
+
+  /**
+   * Variables que usa el mensaje y faltan en cada destinatario, en el formato de `validator`
+   */
+  validateVariables(message, recipients, maxErrors = 20) {
+    const text = messageTemplateText(message);
+    if (!templateVariables(text).length) return [];
+
+    const errors = [];
+    recipients.some((recipient, index) => {
+      missingVariables(text, recipient.variables).forEach((name) => {
+        errors.push({
+          message: `'${name}' is required by the message`,
+          field: `recipients[${index}].variables.${name}`,
+        });
+      });
+      return errors.length >= maxErrors;
+    });
+
+    return errors.slice(0, maxErrors);
+  }
+
+  summary(id) {
+    const counts = Object.fromEntries(RECIPIENT_STATUSES.map((status) => [status, 0]));
+    this.getDb()
+      .prepare('SELECT status, COUNT(*) AS total FROM campaign_recipients WHERE campaign_id = ? GROUP BY status')
+      .all(id)
+      .forEach((row) => { counts[row.status] = row.total; });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const processed = counts.sent + counts.failed + counts.invalid;
+
+    return {
+      total,
+      ...counts,
+      processed,
+      progress: total ? Math.round((processed / total) * 1000) / 10 : 0,
+    };
+  }
+
+  getRow(sessionId, id) {
+    return this.getDb()
+      .prepare('SELECT * FROM campaigns WHERE session_id = ? AND id = ?')
+      .get(sessionId, id);
+  }
+
+  get(sessionId, id) {
+    const row = this.getRow(sessionId, id);
+    return row ? { ...Campaigns.fromRow(row), summary: this.summary(id) } : null;
+  }
+
+  list(sessionId, { status, page, limit } = {}) {
+    const { rows, pagination } = paginate(this.getDb(), 'campaigns', {
+      session_id: sessionId, status,
+    }, { orderBy: 'created_at DESC', page, limit });
+
+    return {
+      campaigns: rows.map((row) => ({ ...Campaigns.fromRow(row), summary: this.summary(row.id) })),
+      pagination,
+    };
+  }
+
+  recipients(id, { status, page, limit } = {}) {
+    const { rows, pagination } = paginate(this.getDb(), 'campaign_recipients', {
+      campaign_id: id, status,
+    }, { orderBy: 'idx', page, limit });
+
+    return {
+      recipients: rows.map((row) => Campaigns.recipientFromRow(row)),
+      pagination,
+    };
+  }
+
+  /**
+   * Resumen final: conteos, duración y errores agrupados por motivo
+   */
+  report(sessionId, id) {
+    const campaign = this.get(sessionId, id);
+    if (!campaign) return null;
+
+    const errors = this.getDb().prepare(`
+      SELECT status, error, COUNT(*) AS count FROM campaign_recipients
+      WHERE campaign_id = ? AND status IN ('failed', 'invalid')
+      GROUP BY status, error
+      ORDER BY count DESC
+    `).all(id);
+
+    const end = campaign.completedAt ? Date.parse(campaign.completedAt) : Date.now();
+    const durationSeconds = campaign.startedAt
+      ? Math.round((end - Date.parse(campaign.startedAt)) / 1000)
+      : 0;
+
+    return {
+      ...campaign,
+      durationSeconds,
+      errors,
+    };
+  }
+
+  create(sessionId, { name, message, recipients }) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const db = this.getDb();
+
+    const insertRecipient = db.prepare(`
+      INSERT INTO campaign_recipients (campaign_id, idx, recipient, variables, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO campaigns (id, session_id, name, payload, status, created_at, started_at, updated_at)
+        VALUES (?, ?, ?, ?, 'running', ?, ?, ?)
+      `).run(id, sessionId, name, JSON.stringify(message), now, now, now);
+
+      recipients.forEach((recipient, index) => {
+        insertRecipient.run(id, index, recipient.to, JSON.stringify(recipient.variables || {}), now);
+      });
+    })();
+
+    logger.info({
+      msg: 'Campaign created', sessionId, campaignId: id, recipients: recipients.length,
+    });
+
+    setImmediate(() => this.run(id));
+    return this.get(sessionId, id);
+  }
+
+  setStatus(sessionId, id, status, fromStatuses) {
+    const placeholders = fromStatuses.map(() => '?').join(', ');
+    const { changes } = this.getDb().prepare(`
+      UPDATE campaigns SET status = ?, updated_at = ?
+      WHERE session_id = ? AND id = ? AND status IN (${placeholders})
+    `).run(status, Date.now(), sessionId, id, ...fromStatuses);
+    return changes > 0;
+  }
+
+  /**
+   * Saca de la cola de la sesión el envío en espera de la campaña, si lo hay
+   */
+  cancelActiveJob(id) {
+    const active = this.activeJobs.get(id);
+    if (active) active.session.sendQueue.cancel(active.jobId);
+  }
+
+  pause(sessionId, id) {
+    if (!this.setStatus(sessionId, id, 'paused', ['running'])) return false;
+    this.cancelActiveJob(id);
+    return true;
+  }
+
+  resume(sessionId, id) {
+    if (!this.setStatus(sessionId, id, 'running', ['paused'])) return false;
+    setImmediate(() => this.run(id));
+    return true;
+  }
+
+  cancel(sessionId, id) {
+    if (!this.setStatus(sessionId, id, 'cancelled', ['running', 'paused'])) return false;
+
+    const now = Date.now();
+    this.getDb().prepare(`
+      UPDATE campaign_recipients SET status = 'cancelled', updated_at = ?
+      WHERE campaign_id = ? AND status = 'pending'
+    `).run(now, id);
+    this.getDb().prepare('UPDATE campaigns SET completed_at = ? WHERE id = ?').run(now, id);
+    this.cancelActiveJob(id);
+    return true;
+  }
+
+  campaignStatus(id) {
+    return this.getDb().prepare('SELECT status FROM campaigns WHERE id = ?').get(id)?.status;
+  }
+
+  updateRecipient(id, index, fields) {
+    const { status, jid, messageId = null, error = null } = fields;
+    this.getDb().prepare(`
+      UPDATE campaign_recipients
+      SET status = ?, jid = COALESCE(?, jid), message_id = ?, error = ?, updated_at = ?
+      WHERE campaign_id = ? AND idx = ?
+    `).run(status, jid || null, messageId, error, Date.now(), id, index);
+  }
+
+  /**
+   * Envía a los destinatarios pendientes de a uno. Se detiene si la campaña se
+   * pausa o cancela, o si la sesión se desconecta (el poll la retoma después).
+   */
+  async run(id) {
+    if (this.workers.has(id)) return;
+    this.workers.add(id);
+
+    try {
+      const db = this.getDb();
+
+      for (;;) {
+        const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+        if (campaign?.status !== 'running') return;
+
+        const session = SessionManager.get(campaign.session_id);
+        if (!session?.isConnected) return;
+
+        const recipient = db.prepare(`
+          SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY idx LIMIT 1
+        `).get(id);
+
+        if (!recipient) {
+          this.complete(campaign);
+          return;
+        }
+
+        await this.sendToRecipient(campaign, session, recipient);
+      }
+    } catch (error) {
+      errorLogger.error({ msg: 'Campaign worker failed', campaignId: id, error: error.message });
+    } finally {
+      this.workers.delete(id);
+    }
+  }
+
+  async sendToRecipient(campaign, session, recipient) {
+    const { campaign_id: id, idx: index } = recipient;
+    this.updateRecipient(id, index, { status: 'sending' });
+
+    try {
+      let jid = recipient.recipient;
+
+      if (!jid.endsWith('@g.us')) {
+        const check = await session.checkNumber(jid);
+        if (!check.exists) {
+          this.updateRecipient(id, index, { status: 'invalid', error: 'Number is not on WhatsApp' });
+          return;
+        }
+        ({ jid } = check);
+      }
+
+      // La campaña pudo pausarse o cancelarse mientras se verificaba el número
+      const status = this.campaignStatus(id);
+      if (status !== 'running') {
+        this.updateRecipient(id, index, { status: status === 'cancelled' ? 'cancelled' : 'pending', jid });
+        return;
+      }
+
+      const message = renderMessage(JSON.parse(campaign.payload), JSON.parse(recipient.variables));
+      const job = session.queueSend(jid, toSendPayload(message));
+      this.activeJobs.set(id, { session, jobId: job.id });
+
+      const result = await job.done;
+      this.updateRecipient(id, index, { status: 'sent', jid, messageId: result?.key?.id || null });
+    } catch (error) {
+      const status = this.campaignStatus(id);
+
+      if (status === 'cancelled') {
+        this.updateRecipient(id, index, { status: 'cancelled' });
+      } else if (status === 'paused' || !session.isConnected) {
+        // Se vuelve a intentar al reanudar o al reconectar
+        this.updateRecipient(id, index, { status: 'pending' });
+      } else {
+        this.updateRecipient(id, index, { status: 'failed', error: error.message });
+      }
+    } finally {
+      this.activeJobs.delete(id);
+    }
+  }
+
+  complete(campaign) {
+    const now = Date.now();
+    const { changes } = this.getDb().prepare(`
+      UPDATE campaigns SET status = 'completed', completed_at = ?, updated_at = ? WHERE id = ? AND status = 'running'
+    `).run(now, now, campaign.id);
+    if (!changes) return;
+
+    const summary = this.summary(campaign.id);
+    logger.info({ msg: 'Campaign completed', campaignId: campaign.id, summary });
+
+    WhatsAppService.notifyWebhook('campaign.completed', {
+      campaignId: campaign.id,
+      name: campaign.name,
+      summary,
+    }, campaign.session_id);
+  }
+
+  /**
+   * Retoma las campañas en curso cuando su sesión está conectada
+   */
+  resumeRunning() {
+    try {
+      this.getDb()
+        .prepare("SELECT id, session_id FROM campaigns WHERE status = 'running'")
+        .all()
+        .filter((row) => !this.workers.has(row.id) && SessionManager.get(row.session_id)?.isConnected)
+        .forEach((row) => this.run(row.id));
+    } catch (error) {
+      errorLogger.error({ msg: 'Error resuming campaigns', error: error.message });
+    }
+  }
+
+  start(interval = 10000) {
+    if (this.pollInterval) return;
+
+    retryInterruptedSends(this.getDb(), 'campaign_recipients', 'pending');
+
+    this.pollInterval = setInterval(() => this.resumeRunning(), interval);
+  }
+}
+
+module.exports = new Campaigns();
@@ -0,0 +1,259 @@
+const { getDatabase } = require('../utils/database');
+
+// WhatsApp informa el fin del silencio en segundos o en milisegundos según el origen
+const toMilliseconds = (timestamp) => (timestamp > 0 && timestamp < 1e12 ? timestamp * 1000 : timestamp);
+
+const toIsoDate = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+/**
+ * Contactos y chats de cada sesión, armados a partir de la sincronización del
+ * historial y de los eventos de contactos y chats de Baileys
+ */
+class ChatStore {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS contacts (
+          session_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          name TEXT,
+          notify TEXT,
+          verified_name TEXT,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (session_id, id)
+        );
+        CREATE TABLE IF NOT EXISTS chats (
+          session_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          name TEXT,
+          unread_count INTEGER NOT NULL DEFAULT 0,
+          archived INTEGER NOT NULL DEFAULT 0,
+          pinned_at INTEGER,
+          mute_end_time INTEGER,
+          conversation_timestamp INTEGER,
+          last_message TEXT,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (session_id, id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_chats_timestamp ON chats (session_id, conversation_timestamp);
+      `);
+    }
+    return this.db;
+  }
+
+  static contactFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name || row.notify || row.verified_name || null,
+      savedName: row.name,
+      pushName: row.notify,
+      verifiedName: row.verified_name,
+      isGroup: row.id.endsWith('@g.us'),
+    };
+  }
+
+  static chatFromRow(row) {
+    const muteEndTime = row.mute_end_time;
+
+    return {
+      id: row.id,
+      name: row.name || row.contact_name || row.contact_notify || row.contact_verified_name || null,
+      isGroup: row.id.endsWith('@g.us'),
+      unreadCount: Math.max(row.unread_count, 0),
+      markedUnread: row.unread_count < 0,
+      archived: Boolean(row.archived),
+      pinned: Boolean(row.pinned_at),
+      muted: muteEndTime === -1 || muteEndTime > Date.now(),
+      mutedUntil: muteEndTime > 0 ? new Date(muteEndTime).toISOString() : null,
+      lastMessageAt: toIsoDate(row.conversation_timestamp),
+      lastMessage: row.last_message ? JSON.parse(row.last_message) : null,
+    };
+  }
+
+  /**
+   * Guarda contactos nuevos o actualiza los existentes con los campos presentes
+   */
+  upsertContacts(sessionId, contacts) {
+    const statement = this.getDb().prepare(`
+      INSERT INTO contacts (session_id, id, name, notify, verified_name, updated_at)
+      VALUES (@sessionId, @id, @name, @notify, @verifiedName, @updatedAt)
+      ON CONFLICT (session_id, id) DO UPDATE SET
+        name = COALESCE(excluded.name, contacts.name),
+        notify = COALESCE(excluded.notify, contacts.notify),
+        verified_name = COALESCE(excluded.verified_name, contacts.verified_name),
+        updated_at = excluded.updated_at
+    `);
+
+    this.getDb().transaction(() => {
+      contacts.filter((contact) => contact.id).forEach((contact) => statement.run({
+        sessionId,
+        id: contact.id,
+        name: contact.name || null,
+        notify: contact.notify || null,
+        verifiedName: contact.verifiedName || null,
+        updatedAt: Date.now(),
+      }));
+    })();
+  }
+
+  /**
+   * Aplica altas o cambios de chats. Solo se modifican los campos presentes; con
+   * `incrementUnread` un `unreadCount` positivo se suma al actual, como hace Baileys
+   * en `chats.update`. `unreadCount: -1` indica un chat marcado como no leído.
+   */
+  upsertChats(sessionId, chats, { incrementUnread = false } = {}) {
+    const db = this.getDb();
+    const select = db.prepare('SELECT * FROM chats WHERE session_id = ? AND id = ?');
+    const save = db.prepare(`
+      INSERT OR REPLACE INTO chats (session_id, id, name, unread_count, archived, pinned_at, mute_end_time, conversation_timestamp, last_message, updated_at)
+      VALUES (@session_id, @id, @name, @unread_count, @archived, @pinned_at, @mute_end_time, @conversation_timestamp, @last_message, @updated_at)
+    `);
+
+    db.transaction(() => {
+      chats.filter((chat) => chat.id).forEach((chat) => {
+        const row = select.get(sessionId, chat.id) || {
+          session_id: sessionId,
+          id: chat.id,
+          name: null,
+          unread_count: 0,
+          archived: 0,
+          pinned_at: null,
+          mute_end_time: null,
+          conversation_timestamp: null,
+          last_message: null,
+        };
+
+        if (chat.name) row.name = chat.name;
+        if (typeof chat.unreadCount === 'number') {
+          row.unread_count = incrementUnread && chat.unreadCount > 0
+            ? Math.max(row.unread_count, 0) + chat.unreadCount
+            : chat.unreadCount;
+        }
+        if (typeof chat.archived === 'boolean') row.archived = chat.archived ? 1 : 0;
+        if (chat.pinned !== undefined) row.pinned_at = chat.pinned || null;
+        if (chat.muteEndTime !== undefined) row.mute_end_time = chat.muteEndTime ? toMilliseconds(chat.muteEndTime) : null;
+        if (chat.conversationTimestamp) {
+          row.conversation_timestamp = Math.max(row.conversation_timestamp || 0, chat.conversationTimestamp);
+        }
+
+        const current = row.last_message ? JSON.parse(row.last_message) : null;
+        if (chat.lastMessage && (!current || chat.lastMessage.timestamp >= current.timestamp)) {
+          row.last_message = JSON.stringify(chat.lastMessage);
+          row.conversation_timestamp = Math.max(row.conversation_timestamp || 0, chat.lastMessage.timestamp || 0);
+        }
+
+        save.run({ ...row, updated_at: Date.now() });
+      });
+    })();
+  }
+
+  deleteChats(sessionId, ids) {
+    const statement = this.getDb().prepare('DELETE FROM chats WHERE session_id = ? AND id = ?');
+    this.getDb().transaction(() => ids.forEach((id) => statement.run(sessionId, id)))();
+  }
+
+  listContacts(sessionId, { search, page = 1, limit = 50 } = {}) {
+    const clauses = ['session_id = @sessionId'];
+    const params = { sessionId };
+
+    if (search) {
+      clauses.push('(id LIKE @search OR name LIKE @search OR notify LIKE @search OR verified_name LIKE @search)');
+      params.search = `%${search}%`;
+    }
+
+    const where = clauses.join(' AND ');
+    const db = this.getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM contacts WHERE ${where}`).get(params);
+    const rows = db.prepare(`
+      SELECT * FROM contacts WHERE ${where}
+      ORDER BY COALESCE(name, notify, verified_name, id) COLLATE NOCASE
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      contacts: rows.map(ChatStore.contactFromRow),
+      pagination: { page, limit, total },
+    };
+  }
+
+  getContact(sessionId, id) {
+    const row = this.getDb().prepare('SELECT * FROM contacts WHERE session_id = ? AND id = ?').get(sessionId, id);
+    return row ? ChatStore.contactFromRow(row) : null;
+  }
+
+  /**
+   * Chats de la sesión, primero los fijados y luego por fecha del último mensaje
+   */
+  listChats(sessionId, {
+    search, archived, pinned, unread, isGroup, page = 1, limit = 50,
+  } = {}) {
+    const clauses = ['chats.session_id = @sessionId'];
+    const params = { sessionId };
+
+    if (search) {
+      clauses.push('(chats.id LIKE @search OR chats.name LIKE @search OR contacts.name LIKE @search OR contacts.notify LIKE @search)');
+      params.search = `%${search}%`;
+    }
+    if (typeof archived === 'boolean') {
+      clauses.push('chats.archived = @archived');
+      params.archived = archived ? 1 : 0;
+    }
+    if (typeof pinned === 'boolean') {
+      clauses.push(pinned ? 'chats.pinned_at IS NOT NULL' : 'chats.pinned_at IS NULL');
+    }
+    if (typeof unread === 'boolean') {
+      clauses.push(unread ? 'chats.unread_count != 0' : 'chats.unread_count = 0');
+    }
+    if (typeof isGroup === 'boolean') {
+      clauses.push(isGroup ? "chats.id LIKE '%@g.us'" : "chats.id NOT LIKE '%@g.us'");
+    }
+
+    const from = `
+      chats LEFT JOIN contacts ON contacts.session_id = chats.session_id AND contacts.id = chats.id
+      WHERE ${clauses.join(' AND ')}
+    `;
+    const db = this.getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${from}`).get(params);
+    const rows = db.prepare(`
+      SELECT chats.*, contacts.name AS contact_name, contacts.notify AS contact_notify,
+        contacts.verified_name AS contact_verified_name
+      FROM ${from}
+      ORDER BY chats.pinned_at IS NULL, chats.pinned_at DESC, chats.conversation_timestamp DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      chats: rows.map(ChatStore.chatFromRow),
+      pagination: { page, limit, total },
+    };
+  }
+
+  getChat(sessionId, id) {
+    const row = this.getDb().prepare(`
+      SELECT chats.*, contacts.name AS contact_name, contacts.notify AS contact_notify,
+        contacts.verified_name AS contact_verified_name
+      FROM chats LEFT JOIN contacts ON contacts.session_id = chats.session_id AND contacts.id = chats.id
+      WHERE chats.session_id = ? AND chats.id = ?
+    `).get(sessionId, id);
+    return row ? ChatStore.chatFromRow(row) : null;
+  }
+
+  /**
+   * Borra los contactos y chats de la sesión; se usa al cerrar sesión,
+   * ya que pertenecen a la cuenta vinculada
+   */
+  clear(sessionId) {
+    const db = this.getDb();
+    db.transaction(() => {
+      db.prepare('DELETE FROM contacts WHERE session_id = ?').run(sessionId);
+      db.prepare('DELETE FROM chats WHERE session_id = ?').run(sessionId);
+    })();
+  }
+}
+
+module.exports = new ChatStore();
@@ -0,0 +1,64 @@
+const { logger } = require('../utils/logger');
+const { matchesEvent } = require('../utils/eventFilter');
+
+/**
+ * Difunde en tiempo real, por Server-Sent Events, los mismos eventos que se
+ * envían a los webhooks
+ */
+class EventStream {
+  constructor() {
+    this.clients = new Set();
+    this.lastEventId = 0;
+  }
+
+  /**
+   * Registra la respuesta HTTP como cliente SSE hasta que se cierre la conexión
+   */
+  subscribe(req, res, { events = [], sessions = [], heartbeat = 25000 } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, events, sessions };
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), heartbeat);
+
+    this.clients.add(client);
+    logger.debug({ msg: 'Event stream client connected', clients: this.clients.size });
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      this.clients.delete(client);
+      logger.debug({ msg: 'Event stream client disconnected', clients: this.clients.size });
+    });
+  }
+
+  publish(event, data, sessionId = null) {
+    if (!this.clients.size) return;
+
+    this.lastEventId += 1;
+    const message = [
+      `id: ${this.lastEventId}`,
+      `event: ${event}`,
+      `data: ${JSON.stringify({
+        event,
+        sessionId,
+        timestamp: new Date().toISOString(),
+        data,
+      })}`,
+      '',
+      '',
+    ].join('\n');
+
+    this.clients.forEach((client) => {
+      if (!matchesEvent(client.events, event)) return;
+      if (client.sessions.length && !client.sessions.includes(sessionId)) return;
+      client.res.write(message);
+    });
+  }
+}
+
+module.exports = new EventStream();
@@ -0,0 +1,314 @@
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { getDatabase } = require('../utils/database');
+const { logger, errorLogger } = require('../utils/logger');
+
+const DAY_IN_SECONDS = 24 * 60 * 60;
+
+// El índice coincide con el estado numérico de Baileys (proto.WebMessageInfo.Status)
+const MESSAGE_STATUSES = ['error', 'pending', 'server_ack', 'delivered', 'read', 'played'];
+const ERROR_STATUS = 0;
+
+class MessageStore {
+  constructor() {
+    this.db = null;
+    this.retentionInterval = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS messages (
+          session_id TEXT NOT NULL,
+          id TEXT NOT NULL,
+          chat_id TEXT,
+          sender TEXT,
+          from_me INTEGER NOT NULL DEFAULT 0,
+          direction TEXT NOT NULL,
+          type TEXT,
+          timestamp INTEGER,
+          push_name TEXT,
+          is_group INTEGER NOT NULL DEFAULT 0,
+          content TEXT,
+          raw TEXT,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (session_id, id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages (session_id, chat_id, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (session_id, timestamp);
+        CREATE TABLE IF NOT EXISTS message_statuses (
+          session_id TEXT NOT NULL,
+          message_id TEXT NOT NULL,
+          chat_id TEXT,
+          recipient TEXT,
+          status INTEGER NOT NULL,
+          timestamp INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_message_statuses_message ON message_statuses (session_id, message_id);
+      `);
+    }
+    return this.db;
+  }
+
+  static toRow(sessionId, message) {
+    return {
+      session_id: sessionId,
+      id: message.id,
+      chat_id: message.chatId,
+      sender: message.sender,
+      from_me: message.fromMe ? 1 : 0,
+      direction: message.direction || (message.fromMe ? 'out' : 'in'),
+      type: message.type,
+      timestamp: message.timestamp,
+      push_name: message.pushName,
+      is_group: message.isGroup ? 1 : 0,
+      content: message.content ? JSON.stringify(message.content) : null,
+      raw: message.raw ? JSON.stringify(message.raw, BufferJSON.replacer) : null,
+      created_at: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  static fromRow(row, { withRaw = false } = {}) {
+    return {
+      id: row.id,
+      from: row.chat_id,
+      sender: row.sender,
+      fromMe: Boolean(row.from_me),
+      direction: row.direction,
+      timestamp: row.timestamp,
+      type: row.type,
+      pushName: row.push_name,
+      content: row.content ? JSON.parse(row.content) : null,
+      isGroup: Boolean(row.is_group),
+      chatId: row.chat_id,
+      ...(withRaw && row.raw && { raw: JSON.parse(row.raw, BufferJSON.reviver) }),
+    };
+  }
+
+  /**
+   * Traduce los filtros de la API a una cláusula WHERE
+   */
+  static buildWhere(sessionId, filters = {}) {
+    const clauses = ['session_id = @sessionId'];
+    const params = { sessionId };
+
+    if (filters.chatId) {
+      clauses.push('chat_id = @chatId');
+      params.chatId = filters.chatId;
+    }
+    if (filters.sender) {
+      clauses.push('sender = @sender');
+      params.sender = filters.sender;
+    }
+    if (filters.type) {
+      clauses.push('type = @type');
+      params.type = filters.type;
+    }
+    if (filters.direction) {
+      clauses.push('direction = @direction');
+      params.direction = filters.direction;
+    }
+    if (typeof filters.isGroup === 'boolean') {
+      clauses.push('is_group = @isGroup');
+      params.isGroup = filters.isGroup ? 1 : 0;
+    }
+    if (filters.since) {
+      clauses.push('timestamp >= @since');
+      params.since = Math.floor(new Date(filters.since).getTime() / 1000);
+    }
+    if (filters.until) {
+      clauses.push('timestamp <= @until');
+      params.until = Math.floor(new Date(filters.until).getTime() / 1000);
+    }
+
+    return { where: clauses.join(' AND '), params };
+  }
+
+  save(sessionId, message) {
+    this.getDb().prepare(`
+      INSERT INTO messages (session_id, id, chat_id, sender, from_me, direction, type, timestamp, push_name, is_group, content, raw, created_at)
+      VALUES (@session_id, @id, @chat_id, @sender, @from_me, @direction, @type, @timestamp, @push_name, @is_group, @content, @raw, @created_at)
+      ON CONFLICT (session_id, id) DO UPDATE SET
+        content = excluded.content,
+        raw = COALESCE(excluded.raw, messages.raw)
+    `).run(MessageStore.toRow(sessionId, message));
+  }
+
+  get(sessionId, id, options = {}) {
+    const row = this.getDb()
+      .prepare('SELECT * FROM messages WHERE session_id = ? AND id = ?')
+      .get(sessionId, id);
+    return row ? MessageStore.fromRow(row, options) : null;
+  }
+
+  /**
+   * Reemplaza el contenido guardado de un mensaje con el resultado de `update(content)`.
+   * Devuelve false si el mensaje no está guardado.
+   */
+  updateContent(sessionId, id, update) {
+    const message = this.get(sessionId, id);
+    if (!message) return false;
+
+    this.getDb()
+      .prepare('UPDATE messages SET content = ? WHERE session_id = ? AND id = ?')
+      .run(JSON.stringify(update(message.content)), sessionId, id);
+    return true;
+  }
+
+  list(sessionId, { page = 1, limit = 50, ...filters } = {}) {
+    const db = this.getDb();
+    const { where, params } = MessageStore.buildWhere(sessionId, filters);
+    const offset = (page - 1) * limit;
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM messages WHERE ${where}`).get(params);
+    const rows = db
+      .prepare(`SELECT * FROM messages WHERE ${where} ORDER BY timestamp DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+
+    return {
+      messages: rows.map((row) => MessageStore.fromRow(row)),
+      pagination: { page, limit, total },
+    };
+  }
+
+  /**
+   * Registra un cambio de estado de un mensaje enviado. En grupos, `recipient`
+   * indica el participante que generó el acuse. Los estados que no avanzan
+   * respecto al último registrado se ignoran (los acuses pueden llegar
+   * desordenados o repetidos). Devuelve el cambio registrado o `null`.
+   */
+  addStatus(sessionId, {
+    id, chatId, recipient = null, status, timestamp = Math.floor(Date.now() / 1000),
+  }) {
+    if (!MESSAGE_STATUSES[status]) return null;
+
+    const db = this.getDb();
+    return db.transaction(() => {
+      const { latest, errors } = db.prepare(`
+        SELECT MAX(status) AS latest, SUM(status = ${ERROR_STATUS}) AS errors FROM message_statuses
+        WHERE session_id = ? AND message_id = ? AND recipient IS ?
+      `).get(sessionId, id, recipient);
+
+      const isNew = status === ERROR_STATUS ? !errors : latest === null || status > latest;
+      if (!isNew) return null;
+
+      db.prepare(`
+        INSERT INTO message_statuses (session_id, message_id, chat_id, recipient, status, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(sessionId, id, chatId, recipient, status, timestamp);
+
+      return {
+        id,
+        chatId,
+        recipient,
+        status: MESSAGE_STATUSES[status],
+        timestamp,
+      };
+    })();
+  }
+
+  /**
+   * Estado actual e historial de estados de un mensaje enviado.
+   * En grupos el estado actual es el más avanzado entre los participantes.
+   */
+  getStatus(sessionId, id) {
+    const rows = this.getDb().prepare(`
+      SELECT * FROM message_statuses WHERE session_id = ? AND message_id = ?
+      ORDER BY timestamp, status
+    `).all(sessionId, id);
+    if (!rows.length) return null;
+
+    const latest = Math.max(...rows.map((row) => row.status));
+    const failed = rows.some((row) => row.status === ERROR_STATUS);
+
+    return {
+      id,
+      chatId: rows[0].chat_id,
+      status: MESSAGE_STATUSES[failed && latest <= 1 ? ERROR_STATUS : latest],
+      history: rows.map((row) => ({
+        status: MESSAGE_STATUSES[row.status],
+        recipient: row.recipient,
+        timestamp: row.timestamp,
+      })),
+    };
+  }
+
+  /**
+   * Elimina los mensajes de la sesión que coinciden con los filtros.
+   * Sin filtros se vacía la sesión completa.
+   */
+  remove(sessionId, filters = {}) {
+    const { where, params } = MessageStore.buildWhere(sessionId, filters);
+    return this.deleteMessages(where, params);
+  }
+
+  /**
+   * Borra los mensajes que cumplen la condición junto con su historial de estados.
+   * Devuelve la cantidad de mensajes borrados.
+   */
+  deleteMessages(where, params) {
+    const db = this.getDb();
+    return db.transaction(() => {
+      db.prepare(`
+        DELETE FROM message_statuses WHERE (session_id, message_id) IN (
+          SELECT session_id, id FROM messages WHERE ${where}
+        )
+      `).run(params);
+      return db.prepare(`DELETE FROM messages WHERE ${where}`).run(params).changes;
+    })();
+  }
+
+  /**
+   * Aplica la retención configurada: antigüedad máxima en días
+   * (`MESSAGE_RETENTION_DAYS`) y cantidad máxima por sesión
+   * (`MESSAGE_RETENTION_MAX_PER_SESSION`). 0 o vacío desactiva cada regla.
+   */
+  prune() {
+    const db = this.getDb();
+    const retentionDays = Number(process.env.MESSAGE_RETENTION_DAYS) || 0;
+    const maxPerSession = Number(process.env.MESSAGE_RETENTION_MAX_PER_SESSION) || 0;
+    let deleted = 0;
+
+    if (retentionDays > 0) {
+      const cutoff = Math.floor(Date.now() / 1000) - retentionDays * DAY_IN_SECONDS;
+      deleted += this.deleteMessages('timestamp < @cutoff', { cutoff });
+      db.prepare('DELETE FROM message_statuses WHERE timestamp < ?').run(cutoff);
+    }
+
+    if (maxPerSession > 0) {
+      deleted += this.deleteMessages(`
+        rowid IN (
+          SELECT rowid FROM (
+            SELECT rowid, ROW_NUMBER() OVER (PARTITION BY session_id ORDER BY timestamp DESC) AS position
+            FROM messages
+          ) WHERE position > @maxPerSession
+        )
+      `, { maxPerSession });
+    }
+
+    if (deleted > 0) {
+      logger.info(`Message retention removed ${deleted} messages`);
+    }
+    return deleted;
+  }
+
+  startRetention(interval = 60 * 60 * 1000) {
+    if (this.retentionInterval) return;
+
+    const run = () => {
+      try {
+        this.prune();
+      } catch (error) {
+        errorLogger.error({
+          msg: 'Error applying message retention',
+          error: error.message,
+        });
+      }
+    };
+
+    run();
+    this.retentionInterval = setInterval(run, interval);
+  }
+}
+
+module.exports = new MessageStore();
@@ -0,0 +1,75 @@
+const { getDatabase } = require('../utils/database');
+const messageStore = require('./messageStore');
+
+/**
+ * Votos de las encuestas enviadas o recibidas. Cada participante tiene un único
+ * voto vigente: al votar de nuevo se reemplaza la selección anterior.
+ */
+class Polls {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS poll_votes (
+          session_id TEXT NOT NULL,
+          poll_id TEXT NOT NULL,
+          voter TEXT NOT NULL,
+          options TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          PRIMARY KEY (session_id, poll_id, voter)
+        )
+      `);
+    }
+    return this.db;
+  }
+
+  /**
+   * Guarda la selección de un participante. Los votos pueden llegar desordenados,
+   * así que uno más antiguo que el guardado se ignora. Devuelve si se aplicó.
+   */
+  recordVote(sessionId, {
+    pollId, voter, options, timestamp,
+  }) {
+    const { changes } = this.getDb().prepare(`
+      INSERT INTO poll_votes (session_id, poll_id, voter, options, timestamp)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (session_id, poll_id, voter) DO UPDATE SET
+        options = excluded.options,
+        timestamp = excluded.timestamp
+      WHERE excluded.timestamp >= poll_votes.timestamp
+    `).run(sessionId, pollId, voter, JSON.stringify(options), timestamp);
+    return changes > 0;
+  }
+
+  /**
+   * Resultados de una encuesta guardada, con los votantes de cada opción.
+   * Devuelve null si el mensaje no existe o no es una encuesta.
+   */
+  results(sessionId, pollId) {
+    const poll = messageStore.get(sessionId, pollId);
+    if (poll?.content?.type !== 'poll') return null;
+
+    const votes = this.getDb()
+      .prepare('SELECT voter, options FROM poll_votes WHERE session_id = ? AND poll_id = ? ORDER BY timestamp')
+      .all(sessionId, pollId)
+      .map((row) => ({ voter: row.voter, options: JSON.parse(row.options) }));
+
+    return {
+      id: pollId,
+      chatId: poll.chatId,
+      name: poll.content.name,
+      selectableCount: poll.content.selectableCount,
+      options: poll.content.options.map((name) => {
+        const voters = votes.filter((vote) => vote.options.includes(name)).map((vote) => vote.voter);
+        return { name, votes: voters.length, voters };
+      }),
+      totalVoters: votes.filter((vote) => vote.options.length).length,
+    };
+  }
+}
+
+module.exports = new Polls();
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const { getDatabase, paginate, retryInterruptedSends } = require('../utils/database');
+const { logger, errorLogger } = require('../utils/logger');
+const { toSendPayload, toPublicMessage } = require('../utils/media');
+const SessionManager = require('./sessionManager');
+const WhatsAppService = require('./baileys');
+
+const MINUTE = 60 * 1000;
+
+const config = () => ({
+  defaultTimezone: process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC',
+  maxLatenessMs: (Number(process.env.SCHEDULE_MAX_LATENESS_MINUTES) || 60) * MINUTE,
+});
+
+const FREQUENCY_UNITS = {
+  hourly: 'hours',
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months',
+};
+
+/**
+ * Mensajes programados: se guardan en SQLite y, cuando llega su hora,
+ * se envían por la cola de la sesión
+ */
+class Scheduler {
+  constructor() {
+    this.db = null;
+    this.activeJobs = new Map();
+    this.pollInterval = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS scheduled_messages (
+          id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          to_jid TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          timezone TEXT NOT NULL,
+          recurrence TEXT,
+          start_at INTEGER NOT NULL,
+          send_at INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'scheduled',
+          occurrences INTEGER NOT NULL DEFAULT 0,
+          last_run_at INTEGER,
+          last_message_id TEXT,
+          last_error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages (status, send_at);
+        CREATE INDEX IF NOT EXISTS idx_scheduled_messages_session ON scheduled_messages (session_id, send_at);
+      `);
+    }
+    return this.db;
+  }
+
+  static fromRow(row) {
+    const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      to: row.to_jid,
+      message: toPublicMessage(JSON.parse(row.payload)),
+      timezone: row.timezone,
+      recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+      startAt: toIso(row.start_at),
+      sendAt: toIso(row.send_at),
+      status: row.status,
+      occurrences: row.occurrences,
+      lastRunAt: toIso(row.last_run_at),
+      lastMessageId: row.last_message_id,
+      lastError: row.last_error,
+      createdAt: toIso(row.created_at),
+      updatedAt: toIso(row.updated_at),
+    };
+  }
+
+  /**
+   * Interpreta `sendAt` en la zona horaria del mensaje. Si la fecha trae su
+   * propio offset (`Z`, `-03:00`) se respeta. Devuelve null si no es válida.
+   */
+  static parseDate(value, timezone) {
+    const date = DateTime.fromISO(value, { zone: timezone });
+    return date.isValid ? date : null;
+  }
+
+  /**
+   * Próxima ocurrencia posterior a `now` según la regla de repetición. Las
+   * ocurrencias que quedaron en el pasado (por ejemplo con el servidor
+   * apagado) se saltean. Devuelve null cuando la regla terminó.
+   */
+  static nextOccurrence({
+    startAt, timezone, recurrence, occurrences,
+  }, now = Date.now()) {
+    if (!recurrence) return null;
+
+    const start = DateTime.fromMillis(startAt, { zone: timezone });
+    const until = recurrence.until ? Scheduler.parseDate(recurrence.until, timezone) : null;
+    const unit = FREQUENCY_UNITS[recurrence.frequency];
+    let index = occurrences;
+
+    for (;;) {
+      if (recurrence.count && index >= recurrence.count) return null;
+
+      // Se calcula siempre desde el inicio para que "el 31 de cada mes" no derive al 28
+      const next = start.plus({ [unit]: recurrence.interval * index });
+      if (until && next > until) return null;
+      if (next.toMillis() > now) return { sendAt: next.toMillis(), occurrences: index };
+
+      index += 1;
+    }
+  }
+
+  list(sessionId, {
+    status, to, page, limit,
+  } = {}) {
+    const { rows, pagination } = paginate(this.getDb(), 'scheduled_messages', {
+      session_id: sessionId, status, to_jid: to,
+    }, { orderBy: 'send_at', page, limit });
+
+    return {
+      scheduled: rows.map((row) => Scheduler.fromRow(row)),
+      pagination,
+    };
+  }
+
+  getRow(sessionId, id) {
+    return this.getDb()
+      .prepare('SELECT * FROM scheduled_messages WHERE session_id = ? AND id = ?')
+      .get(sessionId, id);
+  }
+
+  get(sessionId, id) {
+    const row = this.getRow(sessionId, id);
+    return row ? Scheduler.fromRow(row) : null;
+  }
+
+  /**
+   * Programa un mensaje. Lanza un error con `field` si la fecha no es válida o ya pasó.
+   */
+  create(sessionId, {
+    to, message, sendAt, timezone = config().defaultTimezone, recurrence = null,
+  }) {
+    const startAt = Scheduler.resolveStart(sendAt, timezone);
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    this.getDb().prepare(`
+      INSERT INTO scheduled_messages (id, session_id, to_jid, payload, timezone, recurrence, start_at, send_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      sessionId,
+      to,
+      JSON.stringify(message),
+      timezone,
+      recurrence ? JSON.stringify(recurrence) : null,
+      startAt,
+      startAt,
+      now,
+      now,
+    );
+
+    return this.get(sessionId, id);
+  }
+
+  static resolveStart(sendAt, timezone) {
+    const date = Scheduler.parseDate(sendAt, timezone);
+    if (!date) {
+      throw Object.assign(new Error("'sendAt' must be a valid date"), { field: 'sendAt' });
+    }
+    if (date.toMillis() < Date.now() - MINUTE) {
+      throw Object.assign(new Error("'sendAt' must be in the future"), { field: 'sendAt' });
+    }
+    return date.toMillis();
+  }
+
+  /**
+   * Modifica un mensaje que todavía no se envió. Devuelve null si no existe y
+   * lanza un error con `status = 409` si ya no está programado.
+   */
+  update(sessionId, id, changes) {
+    const row = this.getRow(sessionId, id);
+    if (!row) return null;
+
+    if (row.status !== 'scheduled') {
+      throw Object.assign(new Error(`Scheduled message is ${row.status}`), { status: 409 });
+    }
+
+    const timezone = changes.timezone || row.timezone;
+    let startAt = row.start_at;
+    let { occurrences } = row;
+
+    if (changes.sendAt) {
+      startAt = Scheduler.resolveStart(changes.sendAt, timezone);
+      occurrences = 0;
+    } else if (changes.timezone) {
+      // Misma hora local en la nueva zona horaria
+      startAt = DateTime.fromMillis(row.start_at, { zone: row.timezone })
+        .setZone(timezone, { keepLocalTime: true })
+        .toMillis();
+    }
+
+    const recurrence = changes.recurrence !== undefined
+      ? changes.recurrence
+      : JSON.parse(row.recurrence || 'null');
+
+    // En una serie ya iniciada se mantiene el próximo envío pendiente si la nueva regla no tiene otro
+    let sendAt = startAt;
+    if (occurrences > 0) {
+      const next = Scheduler.nextOccurrence({
+        startAt, timezone, recurrence, occurrences,
+      });
+      ({ sendAt, occurrences } = next || { sendAt: row.send_at, occurrences });
+    }
+
+    this.getDb().prepare(`
+      UPDATE scheduled_messages
+      SET to_jid = ?, payload = ?, timezone = ?, recurrence = ?, start_at = ?, send_at = ?, occurrences = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      changes.to || row.to_jid,
+      changes.message ? JSON.stringify(changes.message) : row.payload,
+      timezone,
+      recurrence ? JSON.stringify(recurrence) : null,
+      startAt,
+      sendAt,
+      occurrences,
+      Date.now(),
+      id,
+    );
+
+    return this.get(sessionId, id);
+  }
+
+  /**
+   * Cancela un mensaje pendiente. Si ya está en la cola de la sesión se saca de ahí;
+   * lanza un error con `status = 409` si el envío ya está saliendo.
+   */
+  cancel(sessionId, id) {
+    const row = this.getRow(sessionId, id);
+    if (!row || !['scheduled', 'sending'].includes(row.status)) return false;
+
+    if (row.status === 'sending') {
+      const active = this.activeJobs.get(id);
+      if (!active?.session.sendQueue.cancel(active.jobId)) {
+        throw Object.assign(new Error('Scheduled message is already being sent'), { status: 409 });
+      }
+    }
+
+    this.getDb()
+      .prepare("UPDATE scheduled_messages SET status = 'cancelled', updated_at = ? WHERE id = ?")
+      .run(Date.now(), id);
+    return true;
+  }
+
+  tick() {
+    const now = Date.now();
+    const connected = SessionManager.connectedIds();
+    const placeholders = connected.map(() => '?').join(', ');
+    let due;
+    let expired;
+
+    try {
+      const db = this.getDb();
+
+      // Solo las sesiones conectadas, para que las que esperan no ocupen el lote de las demás
+      due = db.prepare(`
+        SELECT * FROM scheduled_messages
+        WHERE status = 'scheduled' AND send_at <= ? AND session_id IN (${placeholders})
+        ORDER BY send_at
+        LIMIT 50
+      `).all(now, ...connected);
+
+      // Se espera a que la sesión esté conectada, hasta `SCHEDULE_MAX_LATENESS_MINUTES`
+      expired = db.prepare(`
+        SELECT * FROM scheduled_messages
+        WHERE status = 'scheduled' AND send_at < ? AND session_id NOT IN (${placeholders})
+        ORDER BY send_at
+        LIMIT 50
+      `).all(now - config().maxLatenessMs, ...connected);
+    } catch (error) {
+      errorLogger.error({ msg: 'Error reading due scheduled messages', error: error.message });
+      return;
+    }
+
+    due.forEach((row) => this.dispatch(row, SessionManager.get(row.session_id)));
+    expired.forEach((row) => this.complete(row.id, { error: `Session ${row.session_id} not connected` }));
+  }
+
+  dispatch(row, session) {
+    this.getDb()
+      .prepare("UPDATE scheduled_messages SET status = 'sending', updated_at = ? WHERE id = ?")
+      .run(Date.now(), row.id);
+
+    try {
+      const job = session.queueSend(row.to_jid, toSendPayload(JSON.parse(row.payload)));
+      this.activeJobs.set(row.id, { session, jobId: job.id });
+      job.done
+        .then(
+          (result) => this.complete(row.id, { messageId: result?.key?.id || null }),
+          (error) => this.complete(row.id, { error: error.message }),
+        )
+        .finally(() => this.activeJobs.delete(row.id));
+    } catch (error) {
+      this.complete(row.id, { error: error.message });
+    }
+  }
+
+  /**
+   * Registra el resultado de una ocurrencia y programa la siguiente si corresponde
+   */
+  complete(id, { messageId = null, error = null }) {
+    const db = this.getDb();
+    const row = db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(id);
+    if (!row) return;
+
+    const next = row.status === 'cancelled' ? null : Scheduler.nextOccurrence({
+      startAt: row.start_at,
+      timezone: row.timezone,
+      recurrence: JSON.parse(row.recurrence || 'null'),
+      occurrences: row.occurrences + 1,
+    });
+
+    let status = error ? 'failed' : 'sent';
+    if (row.status === 'cancelled') status = 'cancelled';
+    else if (next) status = 'scheduled';
+
+    const now = Date.now();
+    db.prepare(`
+      UPDATE scheduled_messages
+      SET status = ?, send_at = ?, occurrences = ?, last_run_at = ?, last_message_id = ?, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      status,
+      next ? next.sendAt : row.send_at,
+      next ? next.occurrences : row.occurrences + 1,
+      now,
+      messageId,
+      error,
+      now,
+      id,
+    );
+
+    logger.info({
+      msg: error ? 'Scheduled message failed' : 'Scheduled message sent',
+      sessionId: row.session_id,
+      scheduleId: id,
+      error,
+    });
+
+    WhatsAppService.notifyWebhook(error ? 'scheduled.failed' : 'scheduled.sent', {
+      scheduleId: id,
+      chatId: row.to_jid,
+      to: row.to_jid,
+      messageId,
+      error,
+      status,
+      nextSendAt: next ? new Date(next.sendAt).toISOString() : null,
+    }, row.session_id);
+  }
+
+  start(interval = 5000) {
+    if (this.pollInterval) return;
+
+    retryInterruptedSends(this.getDb(), 'scheduled_messages', 'scheduled');
+
+    this.pollInterval = setInterval(() => this.tick(), interval);
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { logger, errorLogger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const DISCONNECTED_POLL_MS = 5000;
+
+// 0 es un valor válido (sin límite), por eso no se usa `||`
+const envNumber = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+const config = () => ({
+  ratePerMinute: envNumber(process.env.SEND_RATE_PER_MINUTE, 20),
+  ratePerRecipientPerMinute: envNumber(process.env.SEND_RATE_PER_RECIPIENT_PER_MINUTE, 6),
+  delayMinMs: envNumber(process.env.SEND_DELAY_MIN_MS, 1000),
+  delayMaxMs: envNumber(process.env.SEND_DELAY_MAX_MS, 4000),
+  simulatePresence: process.env.SEND_SIMULATE_PRESENCE === 'true',
+  historySize: envNumber(process.env.SEND_QUEUE_HISTORY, 1000),
+});
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const randomBetween = (min, max) => (max > min ? min + Math.floor(Math.random() * (max - min)) : min);
+
+/**
+ * Cola de envíos de una sesión: los mensajes salen de a uno, respetando un límite global
+ * y otro por destinatario, con una pausa aleatoria entre envíos
+ */
+class SendQueue {
+  constructor(service) {
+    this.service = service;
+    this.queue = [];
+    this.jobs = new Map();
+    this.current = null;
+    this.sentAt = [];
+    this.sentAtByRecipient = new Map();
+    this.running = false;
+    this.timer = null;
+  }
+
+  static toPublic(job, position) {
+    return {
+      id: job.id,
+      sessionId: job.sessionId,
+      to: job.to,
+      type: job.type,
+      status: job.status,
+      ...(position !== undefined && { position }),
+      messageId: job.messageId,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * Encola un envío. `payload` tiene el formato de `WhatsAppService.sendPayload`.
+   * El job devuelto expone `done`, una promesa con el resultado del envío.
+   */
+  enqueue(to, payload, { presence } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      sessionId: this.service.sessionId,
+      to,
+      type: payload.type,
+      payload,
+      presence: presence ?? config().simulatePresence,
+      status: 'queued',
+      messageId: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+    };
+
+    job.done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Quien encola no está obligado a esperar el resultado
+    job.done.catch(() => {});
+
+    this.queue.push(job);
+    this.jobs.set(job.id, job);
+    setImmediate(() => this.process());
+
+    return job;
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const position = this.queue.indexOf(job);
+    return SendQueue.toPublic(job, position === -1 ? undefined : position + 1);
+  }
+
+  stats() {
+    const {
+      ratePerMinute, ratePerRecipientPerMinute, delayMinMs, delayMaxMs, simulatePresence,
+    } = config();
+
+    this.pruneWindows(Date.now());
+
+    return {
+      sessionId: this.service.sessionId,
+      depth: this.queue.length,
+      sending: this.current ? SendQueue.toPublic(this.current) : null,
+      sentLastMinute: this.sentAt.length,
+      limits: {
+        ratePerMinute,
+        ratePerRecipientPerMinute,
+        delayMinMs,
+        delayMaxMs,
+        simulatePresence,
+      },
+      jobs: this.queue.map((job, index) => SendQueue.toPublic(job, index + 1)),
+    };
+  }
+
+  /**
+   * Cancela un envío que todavía no salió
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    const index = this.queue.indexOf(job);
+    if (index === -1) return false;
+
+    this.queue.splice(index, 1);
+    this.finish(job, 'cancelled', { error: 'Cancelled' });
+    return true;
+  }
+
+  /**
+   * Cancela todos los envíos pendientes, por ejemplo al eliminar la sesión
+   */
+  clear(reason = 'Queue cleared') {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const pending = this.queue.splice(0);
+    pending.forEach((job) => this.finish(job, 'cancelled', { error: reason }));
+    return pending.length;
+  }
+
+  schedule(ms) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.process();
+    }, ms);
+  }
+
+  pruneWindows(now) {
+    const windowStart = now - MINUTE;
+
+    this.sentAt = this.sentAt.filter((time) => time > windowStart);
+    this.sentAtByRecipient.forEach((times, recipient) => {
+      const recent = times.filter((time) => time > windowStart);
+      if (recent.length) {
+        this.sentAtByRecipient.set(recipient, recent);
+      } else {
+        this.sentAtByRecipient.delete(recipient);
+      }
+    });
+  }
+
+  /**
+   * Milisegundos hasta que una ventana de un minuto admita otro envío
+   */
+  static windowWait(times, limit, now) {
+    if (!limit || times.length < limit) return 0;
+    return times[times.length - limit] + MINUTE - now;
+  }
+
+  async process() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length) {
+        if (!this.service.isConnected) {
+          this.schedule(DISCONNECTED_POLL_MS);
+          return;
+        }
+
+        const { ratePerMinute, ratePerRecipientPerMinute } = config();
+        const now = Date.now();
+        this.pruneWindows(now);
+
+        const globalWait = SendQueue.windowWait(this.sentAt, ratePerMinute, now);
+        if (globalWait > 0) {
+          this.schedule(globalWait);
+          return;
+        }
+
+        // Un destinatario que llegó a su límite no bloquea a los demás
+        const waits = this.queue.map((job) => SendQueue.windowWait(
+          this.sentAtByRecipient.get(job.to) || [],
+          ratePerRecipientPerMinute,
+          now,
+        ));
+        const index = waits.findIndex((wait) => wait <= 0);
+        if (index === -1) {
+          this.schedule(Math.min(...waits));
+          return;
+        }
+
+        const [job] = this.queue.splice(index, 1);
+        await this.run(job);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(job) {
+    const { delayMinMs, delayMaxMs } = config();
+
+    this.current = job;
+    job.status = 'sending';
+    job.startedAt = Date.now();
+
+    try {
+      const delay = randomBetween(delayMinMs, delayMaxMs);
+
+      if (job.presence) {
+        await this.updatePresence(job.type === 'audio' ? 'recording' : 'composing', job.to);
+        await sleep(delay);
+        await this.updatePresence('paused', job.to);
+      } else {
+        await sleep(delay);
+      }
+
+      const result = await this.service.sendPayload(job.to, job.payload);
+      this.finish(job, 'sent', { messageId: result?.key?.id || null });
+      job.resolve(result);
+    } catch (error) {
+      errorLogger.error({
+        msg: 'Queued send failed',
+        sessionId: job.sessionId,
+        jobId: job.id,
+        to: job.to,
+        error: error.message,
+      });
+      this.finish(job, 'failed', { error: error.message });
+      await this.service.notify('message.failed', {
+        jobId: job.id,
+        to: job.to,
+        type: job.type,
+        error: error.message,
+      });
+      job.reject(error);
+    } finally {
+      // Los intentos fallidos también cuentan para el límite
+      const sentAt = Date.now();
+      this.sentAt.push(sentAt);
+      this.sentAtByRecipient.set(job.to, [...(this.sentAtByRecipient.get(job.to) || []), sentAt]);
+      this.current = null;
+    }
+  }
+
+  async updatePresence(presence, to) {
+    try {
+      await this.service.sock.sendPresenceUpdate(presence, to);
+    } catch (error) {
+      logger.warn({ msg: 'Failed to send presence update', presence, to, error: error.message });
+    }
+  }
+
+  finish(job, status, { messageId = null, error = null } = {}) {
+    Object.assign(job, {
+      status,
+      messageId,
+      error,
+      payload: null,
+      completedAt: Date.now(),
+    });
+
+    if (status === 'cancelled') job.reject(new Error(error));
+
+    // Se conserva un historial acotado de jobs terminados para consultar su estado
+    const { historySize } = config();
+    const finished = Array.from(this.jobs.values()).filter((entry) => entry.completedAt);
+    finished.slice(0, Math.max(finished.length - historySize, 0))
+      .forEach((entry) => this.jobs.delete(entry.id));
+  }
+}
+
+module.exports = SendQueue;
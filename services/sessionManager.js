@@ -0,0 +1,64 @@
+const WhatsAppService = require('./baileys');
+const webhookService = require('./webhook');
+const { listAuthSessions } = require('./authState');
+const { logger } = require('../utils/logger');
+
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+
+    webhookService.on('delivered', ({ event, sessionId, data }) => {
+      if (event === 'message.received') this.get(sessionId)?.autoRead(data, 'webhook');
+    });
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  getOrCreate(sessionId) {
+    let session = this.get(sessionId);
+    if (!session) {
+      session = new WhatsAppService(sessionId);
+      this.sessions.set(sessionId, session);
+      logger.info(`Session ${sessionId} registered`);
+    }
+    return session;
+  }
+
+  connectedIds() {
+    return Array.from(this.sessions.values())
+      .filter((session) => session.isConnected)
+      .map((session) => session.sessionId);
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map((session) => session.sessionStatus());
+  }
+
+  /**
+   * Registra y conecta las sesiones que tienen credenciales guardadas, para que
+   * sigan disponibles después de reiniciar el servidor
+   */
+  async restore() {
+    const sessionIds = await listAuthSessions();
+
+    await Promise.all(sessionIds.map(async (sessionId) => {
+      const result = await this.getOrCreate(sessionId).initialize();
+      logger.info({ msg: 'Session restored', sessionId, status: result.status });
+    }));
+  }
+
+  remove(sessionId) {
+    const session = this.get(sessionId);
+    if (!session) return false;
+
+    session.stopSessionMonitor();
+    session.sendQueue.clear('Session removed');
+    this.sessions.delete(sessionId);
+    logger.info(`Session ${sessionId} removed`);
+    return true;
+  }
+}
+
+module.exports = new SessionManager();
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+const { templateVariables, messageTemplateText } = require('../utils/template');
+
+const defaultLanguage = () => process.env.TEMPLATE_DEFAULT_LANGUAGE || 'en';
+
+/**
+ * Plantillas de mensajes reutilizables, identificadas por nombre e idioma
+ */
+class Templates {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS message_templates (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          language TEXT NOT NULL,
+          description TEXT,
+          payload TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          UNIQUE (name, language)
+        )
+      `);
+    }
+    return this.db;
+  }
+
+  defaultLanguage() {
+    return defaultLanguage();
+  }
+
+  /**
+   * Con `withFile` se incluye el archivo en base64, necesario para enviar la plantilla
+   */
+  static fromRow(row, { withFile = false } = {}) {
+    const { base64, ...message } = JSON.parse(row.payload);
+
+    return {
+      id: row.id,
+      name: row.name,
+      language: row.language,
+      description: row.description,
+      message: withFile ? { ...message, base64 } : { ...message, ...(base64 && { hasFile: true }) },
+      variables: templateVariables(messageTemplateText(message)),
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+    };
+  }
+
+  list({
+    name, language, page = 1, limit = 50,
+  } = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (name) {
+      clauses.push('name = @name');
+      params.name = name;
+    }
+    if (language) {
+      clauses.push('language = @language');
+      params.language = language;
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const db = this.getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM message_templates ${where}`).get(params);
+    const rows = db
+      .prepare(`SELECT * FROM message_templates ${where} ORDER BY name, language LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      templates: rows.map((row) => Templates.fromRow(row)),
+      pagination: { page, limit, total },
+    };
+  }
+
+  get(id, options) {
+    const row = this.getDb().prepare('SELECT * FROM message_templates WHERE id = ?').get(id);
+    return row ? Templates.fromRow(row, options) : null;
+  }
+
+  exists(name, language, exceptId = null) {
+    return Boolean(this.getDb()
+      .prepare('SELECT 1 FROM message_templates WHERE name = ? AND language = ? AND id IS NOT ?')
+      .get(name, language, exceptId));
+  }
+
+  /**
+   * Busca una plantilla por nombre. Si no existe en el idioma pedido se prueba con
+   * el idioma base (`es-AR` -> `es`) y luego con `TEMPLATE_DEFAULT_LANGUAGE`.
+   */
+  findByName(name, language, options) {
+    const candidates = [...new Set([
+      language,
+      language?.split('-')[0],
+      defaultLanguage(),
+    ].filter(Boolean))];
+
+    const statement = this.getDb().prepare('SELECT * FROM message_templates WHERE name = ? AND language = ?');
+    const row = candidates.reduce((found, candidate) => found || statement.get(name, candidate), null);
+    return row ? Templates.fromRow(row, options) : null;
+  }
+
+  create({
+    name, language = defaultLanguage(), description = null, message,
+  }) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    this.getDb().prepare(`
+      INSERT INTO message_templates (id, name, language, description, payload, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, name, language, description, JSON.stringify(message), now, now);
+
+    return this.get(id);
+  }
+
+  update(id, changes) {
+    const row = this.getDb().prepare('SELECT * FROM message_templates WHERE id = ?').get(id);
+    if (!row) return null;
+
+    this.getDb().prepare(`
+      UPDATE message_templates SET name = ?, language = ?, description = ?, payload = ?, updated_at = ? WHERE id = ?
+    `).run(
+      changes.name || row.name,
+      changes.language || row.language,
+      changes.description !== undefined ? changes.description : row.description,
+      changes.message ? JSON.stringify(changes.message) : row.payload,
+      Date.now(),
+      id,
+    );
+
+    return this.get(id);
+  }
+
+  remove(id) {
+    const { changes } = this.getDb().prepare('DELETE FROM message_templates WHERE id = ?').run(id);
+    return changes > 0;
+  }
+}
+
+module.exports = new Templates();
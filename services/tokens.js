@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getDatabase } = require('../utils/database');
+const { errorLogger } = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+  constructor() {
+    this.db = null;
+    this.cleanupInterval = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          family_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          expires_at INTEGER NOT NULL,
+          revoked_at INTEGER,
+          replaced_by TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id);
+        CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+          jti TEXT PRIMARY KEY,
+          expires_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS user_token_cutoffs (
+          user_id TEXT PRIMARY KEY,
+          revoked_before REAL NOT NULL
+        );
+      `);
+    }
+    return this.db;
+  }
+
+  static signAccessToken(user) {
+    const expiresIn = process.env.ACCESS_TOKEN_TTL || '15m';
+    // `iat` con milisegundos, para distinguir los tokens emitidos en el mismo segundo que un corte
+    const accessToken = jwt.sign({
+      username: user.username,
+      role: user.role,
+      iat: Date.now() / 1000,
+    }, process.env.ACCESS_TOKEN_SECRET, {
+      subject: user.id,
+      jwtid: crypto.randomUUID(),
+      expiresIn,
+    });
+    return { accessToken, expiresIn };
+  }
+
+  createRefreshToken(userId, familyId = crypto.randomUUID()) {
+    const id = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const now = Date.now();
+    const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+    this.getDb().prepare(`
+      INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, userId, familyId, hashToken(refreshToken), now + ttlDays * DAY, now);
+
+    return { id, refreshToken };
+  }
+
+  /**
+   * Emite un access token de corta duración y un refresh token que inicia una nueva cadena
+   */
+  issue(user) {
+    const { accessToken, expiresIn } = TokenService.signAccessToken(user);
+    const { refreshToken } = this.createRefreshToken(user.id);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn,
+      refreshToken,
+    };
+  }
+
+  findRefreshToken(refreshToken) {
+    return this.getDb()
+      .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?')
+      .get(hashToken(refreshToken)) || null;
+  }
+
+  revokeFamily(familyId) {
+    return this.getDb()
+      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL')
+      .run(Date.now(), familyId).changes;
+  }
+
+  /**
+   * Rota el refresh token: el recibido queda revocado y se emite uno nuevo en
+   * la misma cadena. Si llega un token ya rotado se asume que fue robado y se
+   * revoca la cadena completa.
+   *
+   * @param {string} refreshToken
+   * @param {(userId: string) => object|null} loadUser Devuelve el usuario si sigue activo
+   */
+  rotate(refreshToken, loadUser) {
+    const row = this.findRefreshToken(refreshToken);
+    if (!row) return null;
+
+    if (row.revoked_at) {
+      this.revokeFamily(row.family_id);
+      errorLogger.error({
+        msg: 'Refresh token reuse detected, token chain revoked',
+        userId: row.user_id,
+        familyId: row.family_id,
+      });
+      return null;
+    }
+
+    const user = loadUser(row.user_id);
+    if (row.expires_at <= Date.now() || !user || user.disabled) {
+      return null;
+    }
+
+    const db = this.getDb();
+    const { accessToken, expiresIn } = TokenService.signAccessToken(user);
+    const next = db.transaction(() => {
+      const created = this.createRefreshToken(user.id, row.family_id);
+      db.prepare('UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?')
+        .run(Date.now(), created.id, row.id);
+      return created;
+    })();
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn,
+      refreshToken: next.refreshToken,
+    };
+  }
+
+  /**
+   * Cierra la sesión: revoca la cadena del refresh token, solo si pertenece al
+   * usuario del access token, y pone ese access token en la lista de denegados
+   * hasta que expire
+   */
+  logout({ refreshToken, accessPayload }) {
+    if (refreshToken && accessPayload) {
+      const row = this.findRefreshToken(refreshToken);
+      if (row && row.user_id === accessPayload.sub) {
+        this.revokeFamily(row.family_id);
+      }
+    }
+
+    if (accessPayload?.jti) {
+      this.getDb()
+        .prepare('INSERT OR IGNORE INTO revoked_access_tokens (jti, expires_at) VALUES (?, ?)')
+        .run(accessPayload.jti, accessPayload.exp * 1000);
+    }
+  }
+
+  /**
+   * Fuerza el cierre de todas las sesiones de un usuario: revoca sus refresh
+   * tokens e invalida los access tokens emitidos hasta ahora
+   */
+  revokeUser(userId) {
+    const db = this.getDb();
+    const now = Date.now();
+
+    db.prepare(`
+      INSERT INTO user_token_cutoffs (user_id, revoked_before) VALUES (?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET revoked_before = excluded.revoked_before
+    `).run(userId, now / 1000);
+
+    return db
+      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL')
+      .run(now, userId).changes;
+  }
+
+  isAccessTokenRevoked({ jti, sub, iat }) {
+    const db = this.getDb();
+
+    if (jti && db.prepare('SELECT 1 FROM revoked_access_tokens WHERE jti = ?').get(jti)) {
+      return true;
+    }
+
+    const cutoff = db.prepare('SELECT revoked_before FROM user_token_cutoffs WHERE user_id = ?').get(sub);
+    return Boolean(cutoff && iat < cutoff.revoked_before);
+  }
+
+  cleanup() {
+    const db = this.getDb();
+    const now = Date.now();
+    db.prepare('DELETE FROM revoked_access_tokens WHERE expires_at < ?').run(now);
+    db.prepare('DELETE FROM refresh_tokens WHERE expires_at < ?').run(now);
+  }
+
+  start(interval = 60 * 60 * 1000) {
+    if (this.cleanupInterval) return;
+
+    this.cleanupInterval = setInterval(() => {
+      try {
+        this.cleanup();
+      } catch (error) {
+        errorLogger.error({ msg: 'Error cleaning expired tokens', error: error.message });
+      }
+    }, interval);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getDatabase } = require('../utils/database');
+const { logger } = require('../utils/logger');
+
+const SALT_ROUNDS = 10;
+
+class UserService {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL,
+          disabled INTEGER NOT NULL DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+    }
+    return this.db;
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      role: row.role,
+      disabled: Boolean(row.disabled),
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+    };
+  }
+
+  list() {
+    return this.getDb()
+      .prepare('SELECT * FROM users ORDER BY created_at')
+      .all()
+      .map((row) => UserService.fromRow(row));
+  }
+
+  get(id) {
+    const row = this.getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? UserService.fromRow(row) : null;
+  }
+
+  findByUsername(username) {
+    const row = this.getDb().prepare('SELECT * FROM users WHERE username = ?').get(username);
+    return row ? UserService.fromRow(row) : null;
+  }
+
+  async create({ username, password, role }) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    this.getDb().prepare(`
+      INSERT INTO users (id, username, password_hash, role, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, username, passwordHash, role, now, now);
+
+    return this.get(id);
+  }
+
+  update(id, { role, disabled }) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    this.getDb().prepare('UPDATE users SET role = ?, disabled = ?, updated_at = ? WHERE id = ?').run(
+      role ?? current.role,
+      (disabled ?? current.disabled) ? 1 : 0,
+      Date.now(),
+      id,
+    );
+    return this.get(id);
+  }
+
+  remove(id) {
+    return this.getDb().prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+  }
+
+  async setPassword(id, password) {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    return this.getDb()
+      .prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?')
+      .run(passwordHash, Date.now(), id).changes > 0;
+  }
+
+  /**
+   * Devuelve el usuario si la contraseña es correcta y la cuenta está activa
+   */
+  async authenticate(username, password) {
+    const row = this.getDb().prepare('SELECT * FROM users WHERE username = ?').get(username);
+    if (!row || row.disabled) return null;
+
+    const valid = await bcrypt.compare(password, row.password_hash);
+    return valid ? UserService.fromRow(row) : null;
+  }
+
+  async verifyPassword(id, password) {
+    const row = this.getDb().prepare('SELECT password_hash FROM users WHERE id = ?').get(id);
+    return row ? bcrypt.compare(password, row.password_hash) : false;
+  }
+
+  /**
+   * Crea el administrador inicial (`ADMIN_USERNAME` / `ADMIN_PASSWORD`)
+   * cuando todavía no hay usuarios
+   */
+  async ensureInitialAdmin() {
+    const { total } = this.getDb().prepare('SELECT COUNT(*) AS total FROM users').get();
+    if (total > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!password) {
+      logger.warn('No users found and ADMIN_PASSWORD is not set, nobody can log in');
+      return;
+    }
+
+    await this.create({ username, password, role: 'admin' });
+    logger.info(`Initial admin user "${username}" created`);
+  }
+}
+
+module.exports = new UserService();
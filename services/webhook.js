@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getDatabase } = require('../utils/database');
+const { logger, errorLogger } = require('../utils/logger');
+const { signWebhookPayload } = require('../utils/webhookSignature');
+const subscriptions = require('./webhookSubscriptions');
+
+const HOUR = 60 * 60 * 1000;
+
+const config = () => ({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  retryMaxMs: Number(process.env.WEBHOOK_RETRY_MAX_MS) || HOUR,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  deliveredRetentionMs: (Number(process.env.WEBHOOK_DELIVERED_RETENTION_HOURS) || 24) * HOUR,
+});
+
+/**
+ * Emite `delivered` ({ event, sessionId, data }) cuando el primer destino acepta un
+ * evento; las entregas del mismo evento a otros destinos no lo repiten
+ */
+class WebhookService extends EventEmitter {
+  constructor() {
+    super();
+    this.db = null;
+    this.inFlight = new Set();
+    this.pollInterval = null;
+    this.cleanupInterval = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          event TEXT NOT NULL,
+          session_id TEXT,
+          url TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at INTEGER NOT NULL,
+          last_status INTEGER,
+          last_error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          delivered_at INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+      `);
+
+      const columns = this.db.prepare('PRAGMA table_info(webhook_deliveries)').all();
+      if (!columns.some((column) => column.name === 'subscription_id')) {
+        this.db.exec('ALTER TABLE webhook_deliveries ADD COLUMN subscription_id TEXT');
+      }
+      // Agrupa las entregas de un mismo evento a sus distintos destinos
+      if (!columns.some((column) => column.name === 'event_id')) {
+        this.db.exec('ALTER TABLE webhook_deliveries ADD COLUMN event_id TEXT');
+      }
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries (event_id)');
+    }
+    return this.db;
+  }
+
+  static fromRow(row, { withPayload = false } = {}) {
+    return {
+      id: row.id,
+      event: row.event,
+      sessionId: row.session_id,
+      subscriptionId: row.subscription_id,
+      url: row.url,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+      deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null,
+      ...(withPayload && { payload: JSON.parse(row.payload) }),
+    };
+  }
+
+  /**
+   * Espera antes del próximo intento: exponencial con jitter,
+   * entre la mitad y el total de `base * 2^(intento - 1)`, con tope en `retryMaxMs`
+   */
+  static backoff(attempt, { retryBaseMs, retryMaxMs }) {
+    const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Cabeceras de cada intento. El id de entrega se mantiene entre reintentos
+   * para que el receptor pueda descartar duplicados; timestamp y firma se
+   * generan en cada intento.
+   */
+  static buildHeaders(row) {
+    const subscription = row.subscription_id ? subscriptions.find(row.subscription_id) : null;
+    const headers = {
+      ...subscription?.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'Baileys-API-Webhook',
+      'X-Event-Type': row.event,
+      'X-Webhook-Id': row.id,
+    };
+
+    const secret = subscription?.secret || process.env.WEBHOOK_SECRET;
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Webhook-Timestamp'] = String(timestamp);
+      headers['X-Webhook-Signature'] = signWebhookPayload(secret, timestamp, row.payload);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Destinos del evento: `WEBHOOK_URL` recibe todo y cada suscripción
+   * registrada solo lo que coincide con sus filtros
+   */
+  static resolveTargets(event, data, sessionId) {
+    const targets = subscriptions
+      .match(event, data, sessionId)
+      .map((subscription) => ({ url: subscription.url, subscriptionId: subscription.id }));
+
+    if (process.env.WEBHOOK_URL) {
+      targets.unshift({ url: process.env.WEBHOOK_URL, subscriptionId: null });
+    }
+    return targets;
+  }
+
+  /**
+   * Persiste el evento para su entrega a cada destino. El envío ocurre en
+   * segundo plano y se reintenta hasta `WEBHOOK_MAX_ATTEMPTS` veces.
+   */
+  enqueue(event, data, sessionId = null) {
+    const targets = WebhookService.resolveTargets(event, data, sessionId);
+    if (!targets.length) {
+      logger.debug({
+        msg: 'No webhook targets for event, skipping notification',
+        event,
+      });
+      return [];
+    }
+
+    const now = Date.now();
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      event,
+      sessionId,
+      timestamp: new Date(now).toISOString(),
+      data,
+    });
+
+    const insert = this.getDb().prepare(`
+      INSERT INTO webhook_deliveries (id, event_id, event, session_id, subscription_id, url, payload, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const ids = targets.map(({ url, subscriptionId }) => {
+      const id = crypto.randomUUID();
+      insert.run(id, eventId, event, sessionId, subscriptionId, url, payload, now, now, now);
+      return id;
+    });
+
+    setImmediate(() => this.processDue());
+    return ids;
+  }
+
+  async deliver(row) {
+    const { maxAttempts, timeoutMs } = config();
+    const attempts = row.attempts + 1;
+    const db = this.getDb();
+
+    // La suscripción pudo eliminarse o desactivarse mientras la entrega esperaba
+    if (row.subscription_id && !subscriptions.find(row.subscription_id)?.enabled) {
+      db.prepare(`
+        UPDATE webhook_deliveries SET status = 'dead', last_error = ?, updated_at = ? WHERE id = ?
+      `).run('Subscription removed or disabled', Date.now(), row.id);
+      return;
+    }
+
+    try {
+      const response = await fetch(row.url, {
+        method: 'POST',
+        headers: WebhookService.buildHeaders(row),
+        body: row.payload,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Webhook request failed with status ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const now = Date.now();
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = ?, last_status = ?, last_error = NULL, updated_at = ?, delivered_at = ?
+        WHERE id = ?
+      `).run(attempts, response.status, now, now, row.id);
+
+      logger.debug({
+        msg: 'Webhook notification sent successfully',
+        event: row.event,
+        sessionId: row.session_id,
+        deliveryId: row.id,
+        status: response.status,
+      });
+
+      const { delivered } = db.prepare(`
+        SELECT COUNT(*) AS delivered FROM webhook_deliveries WHERE event_id = ? AND status = 'delivered'
+      `).get(row.event_id);
+      if (delivered === 1) {
+        this.emit('delivered', { event: row.event, sessionId: row.session_id, data: JSON.parse(row.payload).data });
+      }
+    } catch (error) {
+      const now = Date.now();
+      const isDead = attempts >= maxAttempts;
+      const nextAttemptAt = now + WebhookService.backoff(attempts, config());
+
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, next_attempt_at = ?, last_status = ?, last_error = ?, updated_at = ?
+        WHERE id = ?
+      `).run(isDead ? 'dead' : 'pending', attempts, nextAttemptAt, error.status || null, error.message, now, row.id);
+
+      errorLogger.error({
+        msg: isDead ? 'Webhook delivery moved to dead-letter queue' : 'Error during webhook notification, will retry',
+        event: row.event,
+        sessionId: row.session_id,
+        deliveryId: row.id,
+        attempts,
+        error: error.message,
+      });
+    }
+  }
+
+  async processDue(batchSize = 20) {
+    let rows;
+    try {
+      rows = this.getDb().prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+      `).all(Date.now(), batchSize);
+    } catch (error) {
+      errorLogger.error({ msg: 'Error reading pending webhook deliveries', error: error.message });
+      return;
+    }
+
+    await Promise.all(rows
+      .filter((row) => !this.inFlight.has(row.id))
+      .map(async (row) => {
+        this.inFlight.add(row.id);
+        try {
+          await this.deliver(row);
+        } finally {
+          this.inFlight.delete(row.id);
+        }
+      }));
+  }
+
+  /**
+   * Borra las entregas exitosas más antiguas que `WEBHOOK_DELIVERED_RETENTION_HOURS`
+   */
+  cleanup() {
+    const cutoff = Date.now() - config().deliveredRetentionMs;
+    return this.getDb()
+      .prepare("DELETE FROM webhook_deliveries WHERE status = 'delivered' AND delivered_at < ?")
+      .run(cutoff).changes;
+  }
+
+  start(interval = 1000) {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => this.processDue(), interval);
+    this.cleanupInterval = setInterval(() => {
+      try {
+        this.cleanup();
+      } catch (error) {
+        errorLogger.error({ msg: 'Error cleaning webhook deliveries', error: error.message });
+      }
+    }, HOUR);
+  }
+
+  list({
+    status, event, sessionId, subscriptionId, page = 1, limit = 50,
+  } = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (status) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (event) {
+      clauses.push('event = @event');
+      params.event = event;
+    }
+    if (sessionId) {
+      clauses.push('session_id = @sessionId');
+      params.sessionId = sessionId;
+    }
+    if (subscriptionId) {
+      clauses.push('subscription_id = @subscriptionId');
+      params.subscriptionId = subscriptionId;
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const db = this.getDb();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`).get(params);
+    const rows = db
+      .prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+      deliveries: rows.map((row) => WebhookService.fromRow(row)),
+      pagination: { page, limit, total },
+    };
+  }
+
+  get(id) {
+    const row = this.getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? WebhookService.fromRow(row, { withPayload: true }) : null;
+  }
+
+  /**
+   * Vuelve a encolar una entrega del dead-letter queue con los intentos en cero
+   */
+  replay(id) {
+    const { changes } = this.getDb().prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = @now, last_error = NULL, updated_at = @now
+      WHERE id = @id AND status = 'dead'
+    `).run({ id, now: Date.now() });
+
+    if (changes) setImmediate(() => this.processDue());
+    return changes > 0;
+  }
+
+  replayAll({ event, sessionId } = {}) {
+    const clauses = ["status = 'dead'"];
+    const params = { now: Date.now() };
+
+    if (event) {
+      clauses.push('event = @event');
+      params.event = event;
+    }
+    if (sessionId) {
+      clauses.push('session_id = @sessionId');
+      params.sessionId = sessionId;
+    }
+
+    const { changes } = this.getDb().prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = @now, last_error = NULL, updated_at = @now
+      WHERE ${clauses.join(' AND ')}
+    `).run(params);
+
+    if (changes) setImmediate(() => this.processDue());
+    return changes;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+const { matchesEvent } = require('../utils/eventFilter');
+
+/**
+ * Un JID coincide con ese chat; `@g.us` con todos los grupos y
+ * `@s.whatsapp.net` con todos los chats individuales
+ */
+const matchesChat = (chats, chatId) => !chatId || !chats.length || chats.some((chat) => (
+  chat.startsWith('@') ? chatId.endsWith(chat) : chat === chatId
+));
+
+class WebhookSubscriptions {
+  constructor() {
+    this.db = null;
+    this.cache = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id TEXT PRIMARY KEY,
+          url TEXT NOT NULL,
+          description TEXT,
+          events TEXT NOT NULL DEFAULT '[]',
+          chats TEXT NOT NULL DEFAULT '[]',
+          sessions TEXT NOT NULL DEFAULT '[]',
+          headers TEXT NOT NULL DEFAULT '{}',
+          secret TEXT,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+    }
+    return this.db;
+  }
+
+  static fromRow(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      description: row.description,
+      events: JSON.parse(row.events),
+      chats: JSON.parse(row.chats),
+      sessions: JSON.parse(row.sessions),
+      headers: JSON.parse(row.headers),
+      secret: row.secret,
+      enabled: Boolean(row.enabled),
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+    };
+  }
+
+  /**
+   * Vista pública: el secreto nunca se devuelve por la API
+   */
+  static toPublic(subscription) {
+    if (!subscription) return null;
+    const { secret, ...rest } = subscription;
+    return { ...rest, hasSecret: Boolean(secret) };
+  }
+
+  all() {
+    if (!this.cache) {
+      this.cache = this.getDb()
+        .prepare('SELECT * FROM webhook_subscriptions ORDER BY created_at')
+        .all()
+        .map((row) => WebhookSubscriptions.fromRow(row));
+    }
+    return this.cache;
+  }
+
+  list() {
+    return this.all().map((subscription) => WebhookSubscriptions.toPublic(subscription));
+  }
+
+  find(id) {
+    return this.all().find((subscription) => subscription.id === id) || null;
+  }
+
+  get(id) {
+    return WebhookSubscriptions.toPublic(this.find(id));
+  }
+
+  create({
+    url, description = null, events = [], chats = [], sessions = [], headers = {}, secret = null, enabled = true,
+  }) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    this.getDb().prepare(`
+      INSERT INTO webhook_subscriptions (id, url, description, events, chats, sessions, headers, secret, enabled, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      url,
+      description,
+      JSON.stringify(events),
+      JSON.stringify(chats),
+      JSON.stringify(sessions),
+      JSON.stringify(headers),
+      secret,
+      enabled ? 1 : 0,
+      now,
+      now,
+    );
+
+    this.cache = null;
+    return this.get(id);
+  }
+
+  update(id, changes) {
+    const current = this.find(id);
+    if (!current) return null;
+
+    const next = { ...current, ...changes };
+    this.getDb().prepare(`
+      UPDATE webhook_subscriptions
+      SET url = ?, description = ?, events = ?, chats = ?, sessions = ?, headers = ?, secret = ?, enabled = ?, updated_at = ?
+      WHERE id = ?
+    `).run(
+      next.url,
+      next.description,
+      JSON.stringify(next.events),
+      JSON.stringify(next.chats),
+      JSON.stringify(next.sessions),
+      JSON.stringify(next.headers),
+      next.secret,
+      next.enabled ? 1 : 0,
+      Date.now(),
+      id,
+    );
+
+    this.cache = null;
+    return this.get(id);
+  }
+
+  remove(id) {
+    const { changes } = this.getDb().prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(id);
+    this.cache = null;
+    return changes > 0;
+  }
+
+  /**
+   * Suscripciones activas interesadas en el evento. El filtro de chats solo
+   * aplica a eventos que pertenecen a un chat (`data.chatId`); los eventos de
+   * conexión o error pasan siempre que coincida el tipo.
+   */
+  match(event, data, sessionId) {
+    const chatId = data?.chatId;
+
+    return this.all().filter((subscription) => (
+      subscription.enabled
+      && matchesEvent(subscription.events, event)
+      && (!subscription.sessions.length || subscription.sessions.includes(sessionId))
+      && matchesChat(subscription.chats, chatId)
+    ));
+  }
+}
+
+module.exports = new WebhookSubscriptions();
@@ -14,18 +14,79 @@ const options = {
       },
     ],
     components: {
+      parameters: {
+        SessionId: {
+          in: 'path',
+          name: 'sessionId',
+          required: true,
+          description: 'Identificador de la sesión (letras, números, `_` y `-`)',
+          schema: {
+            type: 'string',
+            example: 'default',
+          },
+        },
+        ChatIdFilter: {
+          in: 'query',
+          name: 'chatId',
+          description: 'Filtra por chat (JID)',
+          schema: { type: 'string' },
+        },
+        SenderFilter: {
+          in: 'query',
+          name: 'sender',
+          description: 'Filtra por remitente (JID del participante en grupos)',
+          schema: { type: 'string' },
+        },
+        TypeFilter: {
+          in: 'query',
+          name: 'type',
+          description: 'Filtra por tipo de mensaje de Baileys (`conversation`, `imageMessage`, ...)',
+          schema: { type: 'string' },
+        },
+        DirectionFilter: {
+          in: 'query',
+          name: 'direction',
+          description: 'Mensajes entrantes (`in`) o salientes (`out`)',
+          schema: { type: 'string', enum: ['in', 'out'] },
+        },
+        IsGroupFilter: {
+          in: 'query',
+          name: 'isGroup',
+          schema: { type: 'boolean' },
+        },
+        SinceFilter: {
+          in: 'query',
+          name: 'since',
+          description: 'Fecha ISO 8601 desde la cual incluir mensajes',
+          schema: { type: 'string', format: 'date-time' },
+        },
+        UntilFilter: {
+          in: 'query',
+          name: 'until',
+          description: 'Fecha ISO 8601 hasta la cual incluir mensajes',
+          schema: { type: 'string', format: 'date-time' },
+        },
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
     security: [
       {
         bearerAuth: [],
       },
+      {
+        apiKeyAuth: [],
+      },
     ],
   },
   apis: ['./routes/*.js'],
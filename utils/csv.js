@@ -0,0 +1,64 @@
+/**
+ * Separa un CSV en filas y celdas. Soporta comillas dobles (con `""` como
+ * escape), saltos de línea dentro de comillas y finales de línea CRLF.
+ */
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Convierte un CSV con encabezado en una lista de objetos. El separador
+ * (`,` o `;`) se toma de la primera línea.
+ */
+const parseCsv = (input) => {
+  const text = input.toString('utf8').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const [header = [], ...rows] = parseRows(text, delimiter);
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+};
+
+module.exports = {
+  parseCsv,
+};
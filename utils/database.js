@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const connections = new Map();
+
+/**
+ * Abre (o reutiliza) una base SQLite, creando la carpeta si no existe
+ */
+const openDatabase = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+
+  if (!connections.has(resolvedPath)) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const db = new Database(resolvedPath);
+    db.pragma('journal_mode = WAL');
+    connections.set(resolvedPath, db);
+  }
+
+  return connections.get(resolvedPath);
+};
+
+/**
+ * Base principal de la aplicación (`DATABASE_PATH`)
+ */
+const getDatabase = () => openDatabase(process.env.DATABASE_PATH || './data/baileys.db');
+
+/**
+ * Página de filas de `table` que cumplen `filters` (columna -> valor; se ignoran
+ * los valores vacíos), junto con el total para la paginación
+ */
+const paginate = (db, table, filters, { orderBy, page = 1, limit = 50 }) => {
+  const columns = Object.keys(filters).filter((column) => filters[column]);
+  const where = columns.length
+    ? `WHERE ${columns.map((column) => `${column} = @${column}`).join(' AND ')}`
+    : '';
+  const params = Object.fromEntries(columns.map((column) => [column, filters[column]]));
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${where}`).get(params);
+  const rows = db
+    .prepare(`SELECT * FROM ${table} ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset: (page - 1) * limit });
+
+  return { rows, pagination: { page, limit, total } };
+};
+
+/**
+ * Los envíos que quedaron a medias al reiniciar (`sending`) vuelven a `status`
+ * para reintentarse
+ */
+const retryInterruptedSends = (db, table, status) => db
+  .prepare(`UPDATE ${table} SET status = ?, updated_at = ? WHERE status = 'sending'`)
+  .run(status, Date.now());
+
+module.exports = {
+  openDatabase,
+  getDatabase,
+  paginate,
+  retryInterruptedSends,
+};
@@ -0,0 +1,14 @@
+/**
+ * Indica si un evento coincide con alguno de los patrones. `message.*`
+ * coincide con `message.received`, `message.status`, etc. y `*` con todos.
+ * Sin patrones coincide siempre.
+ */
+const matchesEvent = (patterns, event) => !patterns.length || patterns.some((pattern) => (
+  pattern === '*'
+  || pattern === event
+  || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1)))
+));
+
+module.exports = {
+  matchesEvent,
+};
@@ -0,0 +1,14 @@
+/**
+ * Completa el JID de WhatsApp cuando se recibe solo el número
+ */
+const toJid = (to) => (to.includes('@') ? to : `${to}@s.whatsapp.net`);
+
+/**
+ * Completa el JID de un grupo cuando se recibe solo su id
+ */
+const toGroupJid = (id) => (id.includes('@') ? id : `${id}@g.us`);
+
+module.exports = {
+  toJid,
+  toGroupJid,
+};
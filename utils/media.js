@@ -0,0 +1,125 @@
+const MEDIA_MESSAGE_TYPES = [
+  'imageMessage',
+  'videoMessage',
+  'audioMessage',
+  'documentMessage',
+  'stickerMessage',
+];
+
+// Mimetype usado cuando no se indica ni se puede detectar
+const DEFAULT_MIMETYPES = {
+  image: 'image/jpeg',
+  video: 'video/mp4',
+  audio: 'audio/ogg',
+  document: 'application/octet-stream',
+  sticker: 'image/webp',
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'text/plain': 'txt',
+};
+
+// Firmas (magic bytes) de los formatos que se envían con más frecuencia
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimetype: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimetype: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  { mimetype: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { mimetype: 'audio/ogg', offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimetype: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] },
+  { mimetype: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimetype: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+/**
+ * Detecta el mimetype a partir del contenido del archivo.
+ * Devuelve null si el formato no es reconocido.
+ */
+const detectMimetype = (buffer) => {
+  const match = SIGNATURES.find(({ offset, bytes }) => (
+    buffer.length >= offset + bytes.length
+    && bytes.every((byte, index) => buffer[offset + index] === byte)
+  ));
+  return match ? match.mimetype : null;
+};
+
+/**
+ * Decodifica base64 plano o un data URL (`data:image/png;base64,...`)
+ */
+const decodeBase64 = (input) => {
+  const dataUrl = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(input);
+  if (dataUrl) {
+    return { buffer: Buffer.from(dataUrl[2], 'base64'), mimetype: dataUrl[1] };
+  }
+  return { buffer: Buffer.from(input, 'base64'), mimetype: null };
+};
+
+/**
+ * Extensión de archivo para un mimetype (`audio/ogg; codecs=opus` -> `ogg`)
+ */
+const extensionFromMimetype = (mimetype = '') => {
+  const baseType = mimetype.split(';')[0].trim().toLowerCase();
+  return EXTENSIONS[baseType] || baseType.split('/')[1] || 'bin';
+};
+
+/**
+ * Cabecera Content-Disposition que conserva nombres con acentos o espacios
+ */
+const contentDisposition = (fileName, type = 'inline') => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Convierte un mensaje en formato JSON (texto o archivo en base64) al formato
+ * de `WhatsAppService.sendPayload`
+ */
+const toSendPayload = ({ base64, ...payload }) => {
+  if (payload.type === 'text') return payload;
+
+  const decoded = decodeBase64(base64);
+  return {
+    ...payload,
+    buffer: decoded.buffer,
+    mimetype: payload.mimetype || decoded.mimetype || detectMimetype(decoded.buffer) || DEFAULT_MIMETYPES[payload.type],
+    ...(payload.type === 'document' && { fileName: payload.fileName || 'document' }),
+  };
+};
+
+/**
+ * Mensaje guardado tal como lo devuelve la API: el archivo en base64 no se incluye,
+ * solo se indica con `hasFile`
+ */
+const toPublicMessage = ({ base64, ...message }) => ({ ...message, ...(base64 && { hasFile: true }) });
+
+const streamToBuffer = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+module.exports = {
+  MEDIA_MESSAGE_TYPES,
+  DEFAULT_MIMETYPES,
+  detectMimetype,
+  decodeBase64,
+  extensionFromMimetype,
+  contentDisposition,
+  toSendPayload,
+  toPublicMessage,
+  streamToBuffer,
+};
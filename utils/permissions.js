@@ -0,0 +1,27 @@
+const PERMISSIONS = [
+  'messages:send',
+  'messages:read',
+  'session:read',
+  'session:manage',
+  'groups:manage',
+  'webhooks:manage',
+  'users:manage',
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  operator: ['messages:send', 'messages:read', 'session:read', 'session:manage', 'groups:manage'],
+  readonly: ['messages:read', 'session:read'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Las API keys no pueden administrar usuarios ni otras keys
+const API_KEY_SCOPES = PERMISSIONS.filter((permission) => permission !== 'users:manage');
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+};
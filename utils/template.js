@@ -0,0 +1,47 @@
+// `{{name}}` o `{{ name }}`; los nombres admiten letras, números, `_`, `-` y `.`
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Campos de un mensaje (ver `messagePayload`) que admiten variables
+const MESSAGE_TEMPLATE_FIELDS = ['text', 'caption', 'fileName'];
+
+/**
+ * Nombres de las variables usadas en un texto, sin repetir
+ */
+const templateVariables = (text = '') => [...new Set(Array.from(text.matchAll(PLACEHOLDER), (match) => match[1]))];
+
+/**
+ * Variables del texto que no tienen valor en `variables`
+ */
+const missingVariables = (text, variables = {}) => templateVariables(text)
+  .filter((name) => variables[name] === undefined || variables[name] === null);
+
+/**
+ * Reemplaza cada `{{name}}` por su valor; las variables sin valor quedan como están
+ */
+const renderTemplate = (text, variables = {}) => text.replace(PLACEHOLDER, (placeholder, name) => (
+  variables[name] === undefined || variables[name] === null ? placeholder : String(variables[name])
+));
+
+/**
+ * Texto de todos los campos con variables de un mensaje, para buscar sus variables
+ */
+const messageTemplateText = (message) => MESSAGE_TEMPLATE_FIELDS.map((field) => message[field] || '').join(' ');
+
+/**
+ * Aplica las variables a los campos de texto de un mensaje
+ */
+const renderMessage = (message, variables = {}) => {
+  const rendered = { ...message };
+  MESSAGE_TEMPLATE_FIELDS.forEach((field) => {
+    if (rendered[field]) rendered[field] = renderTemplate(rendered[field], variables);
+  });
+  return rendered;
+};
+
+module.exports = {
+  templateVariables,
+  missingVariables,
+  renderTemplate,
+  messageTemplateText,
+  renderMessage,
+};
@@ -0,0 +1,37 @@
+/**
+ * Escapa los caracteres especiales de un valor de vCard
+ */
+const escapeValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+/**
+ * Arma una vCard 3.0 a partir de campos estructurados. Los teléfonos incluyen
+ * `waid` para que WhatsApp muestre los botones de chatear y agregar.
+ */
+const buildVCard = ({
+  fullName, organization, phones = [], emails = [],
+}) => {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeValue(fullName)}`,
+  ];
+
+  if (organization) lines.push(`ORG:${escapeValue(organization)};`);
+
+  phones.forEach(({ number, label = 'cell' }) => {
+    const digits = number.replace(/\D/g, '');
+    lines.push(`TEL;type=${label.toUpperCase()};waid=${digits}:+${digits}`);
+  });
+
+  emails.forEach((email) => lines.push(`EMAIL:${escapeValue(email)}`));
+
+  lines.push('END:VCARD');
+  return lines.join('\n');
+};
+
+module.exports = {
+  buildVCard,
+};
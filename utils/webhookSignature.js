@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Firma HMAC-SHA256 de un webhook sobre `<timestamp>.<body>`
+ *
+ * @param {string} secret Secreto compartido (`WEBHOOK_SECRET`)
+ * @param {number|string} timestamp Segundos unix de la cabecera `X-Webhook-Timestamp`
+ * @param {string} body Cuerpo crudo del request, tal cual se recibió
+ * @returns {string} Valor de la cabecera `X-Webhook-Signature` (`sha256=<hex>`)
+ */
+const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `${SIGNATURE_PREFIX}${digest}`;
+};
+
+/**
+ * Verifica un webhook recibido. Pensado para usarse del lado del receptor:
+ * compara la firma en tiempo constante y rechaza timestamps fuera de la tolerancia
+ * para evitar reenvíos de requests capturados.
+ *
+ * @param {object} params
+ * @param {string} params.secret Secreto compartido
+ * @param {string} params.signature Cabecera `X-Webhook-Signature`
+ * @param {number|string} params.timestamp Cabecera `X-Webhook-Timestamp`
+ * @param {string|Buffer} params.body Cuerpo crudo (sin parsear)
+ * @param {number} [params.toleranceSeconds=300] Antigüedad máxima aceptada
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = ({
+  secret, signature, timestamp, body, toleranceSeconds = 300,
+}) => {
+  if (!secret || !signature || !timestamp) return false;
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body.toString()));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,20 @@
+/**
+ * Responde el error de una operación sobre WhatsApp:
+ * - los errores propios informan su código en `error.status` (404, 409, ...)
+ * - WhatsApp rechaza las operaciones con errores Boom (`not-authorized`, `item-not-found`, ...);
+ *   se responden con su código, usando 403 en lugar de 401 para no confundirlos con la
+ *   autenticación de la API
+ */
+const sendWhatsAppError = (res, error) => {
+  if (error?.status) {
+    res.sendError(error.status, error.message);
+    return;
+  }
+
+  const statusCode = error?.isBoom ? error.output.statusCode : 500;
+  res.sendError(statusCode === 401 ? 403 : statusCode, error);
+};
+
+module.exports = {
+  sendWhatsAppError,
+};
@@ -0,0 +1,13 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+
+const createApiKey = Joi.object({
+  name: Joi.string().max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique()
+    .required(),
+  expiresAt: Joi.date().iso().greater('now'),
+});
+
+module.exports = {
+  createApiKey,
+};
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { messagePayload } = require('./message');
+
+const MAX_RECIPIENTS = Number(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+
+const recipient = Joi.object({
+  to: Joi.string().required(),
+  variables: Joi.object().pattern(/^[\w.-]+$/, Joi.alternatives(Joi.string().allow(''), Joi.number())).default({}),
+});
+
+const createCampaign = Joi.object({
+  name: Joi.string().max(255).required(),
+  message: messagePayload.required(),
+  recipients: Joi.array().items(recipient).min(1).max(MAX_RECIPIENTS)
+    .required(),
+});
+
+const listCampaigns = Joi.object({
+  status: Joi.string().valid('running', 'paused', 'completed', 'cancelled'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+const listRecipients = Joi.object({
+  status: Joi.string().valid('pending', 'sending', 'sent', 'failed', 'invalid', 'cancelled'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+module.exports = {
+  createCampaign,
+  listCampaigns,
+  listRecipients,
+};
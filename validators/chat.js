@@ -0,0 +1,26 @@
+const Joi = require('joi');
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+};
+
+const listContacts = Joi.object({
+  search: Joi.string().max(100),
+  ...pagination,
+});
+
+const listChats = Joi.object({
+  search: Joi.string().max(100),
+  archived: Joi.boolean(),
+  pinned: Joi.boolean(),
+  unread: Joi.boolean(),
+  isGroup: Joi.boolean(),
+  ...pagination,
+});
+
+module.exports = {
+  listContacts,
+  listChats,
+};
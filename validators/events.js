@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+// Lista separada por comas (`?events=connection,message.*`)
+const csv = Joi.string().custom((value) => value.split(',').map((item) => item.trim()).filter(Boolean));
+
+const subscribeEvents = Joi.object({
+  events: csv.default([]),
+  sessions: csv.default([]),
+  access_token: Joi.string(),
+});
+
+module.exports = {
+  subscribeEvents,
+};
@@ -0,0 +1,48 @@
+const Joi = require('joi');
+
+const participants = Joi.array().items(Joi.string()).min(1).max(256)
+  .unique();
+
+// Acepta el código o el link completo (`https://chat.whatsapp.com/<código>`)
+const inviteCode = Joi.string().custom((value) => value.replace(/^https?:\/\/chat\.whatsapp\.com\//, '').trim());
+
+const groupParams = Joi.object({
+  groupId: Joi.string().pattern(/^[\d-]+(@g\.us)?$/).required(),
+}).unknown(true);
+
+const createGroup = Joi.object({
+  subject: Joi.string().max(100).required(),
+  participants: participants.required(),
+});
+
+const updateParticipants = Joi.object({
+  action: Joi.string().valid('add', 'remove', 'promote', 'demote').required(),
+  participants: participants.required(),
+});
+
+const updateGroup = Joi.object({
+  subject: Joi.string().max(100),
+  description: Joi.string().allow('').max(2048),
+  announce: Joi.boolean(),
+  locked: Joi.boolean(),
+  memberAddMode: Joi.string().valid('admin', 'all'),
+  joinApprovalMode: Joi.boolean(),
+  ephemeralDuration: Joi.number().valid(0, 86400, 604800, 7776000),
+}).min(1);
+
+const joinGroup = Joi.object({
+  code: inviteCode.required(),
+});
+
+const inviteParams = Joi.object({
+  code: inviteCode.required(),
+}).unknown(true);
+
+module.exports = {
+  groupParams,
+  createGroup,
+  updateParticipants,
+  updateGroup,
+  joinGroup,
+  inviteParams,
+};
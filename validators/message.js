@@ -3,13 +3,104 @@ const Joi = require('joi');
 const sendText = Joi.object({
   to: Joi.string().required(),
   message: Joi.string().required(),
+  presence: Joi.boolean(),
+  quotedId: Joi.string(),
 });
 
 const checkNumber = Joi.object({
   to: Joi.string().required(),
 });
 
+const sendMedia = Joi.object({
+  to: Joi.string().required(),
+  type: Joi.string().valid('image', 'video', 'document', 'sticker').required(),
+  base64: Joi.string(),
+  mimetype: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+/),
+  caption: Joi.string().allow('').max(1024).when('type', { is: 'sticker', then: Joi.forbidden() }),
+  fileName: Joi.string().max(255).when('type', { is: 'document', otherwise: Joi.forbidden() }),
+  gifPlayback: Joi.boolean().when('type', { is: 'video', otherwise: Joi.forbidden() }),
+  presence: Joi.boolean(),
+  quotedId: Joi.string(),
+});
+
+/**
+ * Mensaje en JSON para envíos diferidos: texto, o archivo en base64 (plano o data URL)
+ */
+const messagePayload = Joi.object({
+  type: Joi.string().valid('text', 'image', 'video', 'audio', 'document', 'sticker').required(),
+  text: Joi.string().when('type', { is: 'text', then: Joi.required(), otherwise: Joi.forbidden() }),
+  base64: Joi.string().when('type', { is: 'text', then: Joi.forbidden(), otherwise: Joi.required() }),
+  mimetype: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+/).when('type', { is: 'text', then: Joi.forbidden() }),
+  caption: Joi.string().allow('').max(1024).when('type', { is: Joi.valid('image', 'video', 'document'), otherwise: Joi.forbidden() }),
+  fileName: Joi.string().max(255).when('type', { is: 'document', otherwise: Joi.forbidden() }),
+  gifPlayback: Joi.boolean().when('type', { is: 'video', otherwise: Joi.forbidden() }),
+});
+
+const sendLocation = Joi.object({
+  to: Joi.string().required(),
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  name: Joi.string().max(255),
+  address: Joi.string().max(1024),
+  presence: Joi.boolean(),
+  quotedId: Joi.string(),
+});
+
+const contactCard = Joi.object({
+  fullName: Joi.string().max(255).required(),
+  organization: Joi.string().max(255),
+  phones: Joi.array().items(Joi.object({
+    number: Joi.string().pattern(/\d/).required()
+      .messages({ 'string.pattern.base': '{#label} must contain a phone number' }),
+    label: Joi.string().valid('cell', 'work', 'home', 'main', 'other').default('cell'),
+  })).min(1).required(),
+  emails: Joi.array().items(Joi.string().email()),
+});
+
+const sendContact = Joi.object({
+  to: Joi.string().required(),
+  contacts: Joi.array().items(contactCard).min(1).max(20)
+    .required(),
+  presence: Joi.boolean(),
+  quotedId: Joi.string(),
+});
+
+const sendPoll = Joi.object({
+  to: Joi.string().required(),
+  name: Joi.string().max(255).required(),
+  options: Joi.array().items(Joi.string().max(100)).min(2).max(12)
+    .unique()
+    .required(),
+  selectableCount: Joi.number().integer().min(0)
+    .max(Joi.ref('options', { adjust: (options) => options.length }))
+    .default(0)
+    .messages({ 'number.max': '{#label} must not exceed the number of options' }),
+  presence: Joi.boolean(),
+  quotedId: Joi.string(),
+});
+
+const reactMessage = Joi.object({
+  emoji: Joi.string().allow('').max(10).required(),
+});
+
+const editMessage = Joi.object({
+  text: Joi.string().max(4096).required(),
+});
+
+const markRead = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).max(500).unique()
+    .required(),
+});
+
 module.exports = {
   sendText,
   checkNumber,
+  sendMedia,
+  messagePayload,
+  sendLocation,
+  sendContact,
+  sendPoll,
+  reactMessage,
+  editMessage,
+  markRead,
 };
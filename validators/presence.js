@@ -0,0 +1,17 @@
+const Joi = require('joi');
+
+const CHAT_PRESENCES = ['composing', 'recording', 'paused'];
+
+const updatePresence = Joi.object({
+  presence: Joi.string().valid(...CHAT_PRESENCES, 'available', 'unavailable').required(),
+  to: Joi.string().when('presence', { is: Joi.valid(...CHAT_PRESENCES), then: Joi.required() }),
+});
+
+const subscribePresence = Joi.object({
+  to: Joi.string().required(),
+});
+
+module.exports = {
+  updatePresence,
+  subscribePresence,
+};
@@ -0,0 +1,29 @@
+const Joi = require('joi');
+
+const AUDIENCE = ['all', 'contacts', 'contact_blacklist', 'none'];
+
+const pictureQuery = Joi.object({
+  type: Joi.string().valid('preview', 'image').default('image'),
+});
+
+const updateProfile = Joi.object({
+  name: Joi.string().trim().min(1).max(25),
+  about: Joi.string().max(139).allow(''),
+}).or('name', 'about');
+
+const updatePrivacy = Joi.object({
+  lastSeen: Joi.string().valid(...AUDIENCE),
+  online: Joi.string().valid('all', 'match_last_seen'),
+  profilePicture: Joi.string().valid(...AUDIENCE),
+  status: Joi.string().valid(...AUDIENCE),
+  readReceipts: Joi.string().valid('all', 'none'),
+  groupsAdd: Joi.string().valid(...AUDIENCE),
+  calls: Joi.string().valid('all', 'known'),
+  messages: Joi.string().valid('all', 'contacts'),
+}).min(1);
+
+module.exports = {
+  pictureQuery,
+  updateProfile,
+  updatePrivacy,
+};
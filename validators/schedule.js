@@ -0,0 +1,50 @@
+const Joi = require('joi');
+const { IANAZone } = require('luxon');
+const { messagePayload } = require('./message');
+
+const timezone = Joi.string().custom((value, helpers) => (
+  IANAZone.isValidZone(value) ? value : helpers.message(`'timezone' must be a valid IANA time zone`)
+));
+
+// Sin conversión, para no reescribir la fecha en UTC: una fecha sin zona horaria
+// se interpreta en `timezone` al programar el mensaje
+const localDate = Joi.string().isoDate().prefs({ convert: false });
+
+const recurrence = Joi.object({
+  frequency: Joi.string().valid('hourly', 'daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(365)
+    .default(1),
+  until: localDate,
+  count: Joi.number().integer().min(1),
+});
+
+const scheduleFields = {
+  to: Joi.string(),
+  message: messagePayload,
+  sendAt: localDate,
+  timezone,
+  recurrence: recurrence.allow(null),
+};
+
+const createSchedule = Joi.object({
+  ...scheduleFields,
+  to: scheduleFields.to.required(),
+  message: scheduleFields.message.required(),
+  sendAt: scheduleFields.sendAt.required(),
+});
+
+const updateSchedule = Joi.object(scheduleFields).min(1);
+
+const listSchedules = Joi.object({
+  status: Joi.string().valid('scheduled', 'sending', 'sent', 'failed', 'cancelled'),
+  to: Joi.string(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+module.exports = {
+  createSchedule,
+  updateSchedule,
+  listSchedules,
+};
@@ -0,0 +1,39 @@
+const Joi = require('joi');
+
+const sessionId = Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).required();
+
+const sessionParams = Joi.object({
+  sessionId,
+}).unknown(true);
+
+const startSession = Joi.object({
+  phoneNumber: Joi.string().pattern(/^\+?[\d\s-]{7,20}$/)
+    .messages({ 'string.pattern.base': '{#label} must be a phone number with country code' }),
+});
+
+const messageFilters = {
+  chatId: Joi.string(),
+  sender: Joi.string(),
+  type: Joi.string(),
+  direction: Joi.string().valid('in', 'out'),
+  isGroup: Joi.boolean(),
+  since: Joi.date().iso(),
+  until: Joi.date().iso(),
+};
+
+const listMessages = Joi.object({
+  ...messageFilters,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+const deleteMessages = Joi.object(messageFilters);
+
+module.exports = {
+  sessionId,
+  sessionParams,
+  startSession,
+  listMessages,
+  deleteMessages,
+};
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { messagePayload } = require('./message');
+
+const templateFields = {
+  name: Joi.string().pattern(/^[\w.-]{1,100}$/),
+  language: Joi.string().pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/),
+  description: Joi.string().allow('', null).max(255),
+  message: messagePayload,
+};
+
+const createTemplate = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  message: templateFields.message.required(),
+});
+
+const updateTemplate = Joi.object(templateFields).min(1);
+
+const listTemplates = Joi.object({
+  name: Joi.string(),
+  language: Joi.string(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+const sendTemplate = Joi.object({
+  to: Joi.string().required(),
+  template: Joi.string(),
+  templateId: Joi.string(),
+  language: templateFields.language,
+  variables: Joi.object().pattern(/^[\w.-]+$/, Joi.alternatives(Joi.string().allow(''), Joi.number())).default({}),
+  presence: Joi.boolean(),
+}).xor('template', 'templateId');
+
+module.exports = {
+  createTemplate,
+  updateTemplate,
+  listTemplates,
+  sendTemplate,
+};
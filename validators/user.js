@@ -0,0 +1,48 @@
+const Joi = require('joi');
+const { ROLES } = require('../utils/permissions');
+
+const username = Joi.string().pattern(/^[A-Za-z0-9._-]{3,64}$/);
+const password = Joi.string().min(8).max(128);
+
+const login = Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required(),
+});
+
+const createUser = Joi.object({
+  username: username.required(),
+  password: password.required(),
+  role: Joi.string().valid(...ROLES).required(),
+});
+
+const updateUser = Joi.object({
+  role: Joi.string().valid(...ROLES),
+  disabled: Joi.boolean(),
+}).min(1);
+
+const setPassword = Joi.object({
+  password: password.required(),
+});
+
+const changePassword = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: password.required(),
+});
+
+const refreshToken = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const logout = Joi.object({
+  refreshToken: Joi.string(),
+});
+
+module.exports = {
+  login,
+  refreshToken,
+  logout,
+  createUser,
+  updateUser,
+  setPassword,
+  changePassword,
+};
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+
+const listDeliveries = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'dead'),
+  event: Joi.string(),
+  sessionId: Joi.string(),
+  subscriptionId: Joi.string(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+    .default(50),
+});
+
+const replayDeliveries = Joi.object({
+  event: Joi.string(),
+  sessionId: Joi.string(),
+});
+
+const subscriptionFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  description: Joi.string().allow('', null).max(255),
+  events: Joi.array().items(Joi.string()).unique(),
+  chats: Joi.array().items(Joi.string()).unique(),
+  sessions: Joi.array().items(Joi.string()).unique(),
+  headers: Joi.object().pattern(/^[A-Za-z0-9-]+$/, Joi.string()),
+  secret: Joi.string().allow(null).min(16),
+  enabled: Joi.boolean(),
+};
+
+const createSubscription = Joi.object({
+  ...subscriptionFields,
+  url: subscriptionFields.url.required(),
+});
+
+const updateSubscription = Joi.object(subscriptionFields).min(1);
+
+module.exports = {
+  listDeliveries,
+  replayDeliveries,
+  createSubscription,
+  updateSubscription,
+};